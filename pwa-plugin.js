@@ -0,0 +1,64 @@
+import { readFileSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { appIconSvg, THEME_LIGHT } from './src/icon.js'
+
+// Plugin PWA mínimo (sin dependencias): genera manifest e íconos a partir de src/icon.js
+// y emite sw.js con la lista de archivos del build para la caché offline.
+const ICONS = {
+  'icon.svg': appIconSvg(),
+  'icon-maskable.svg': appIconSvg({ maskable: true }),
+}
+
+const MANIFEST = JSON.stringify({
+  name: 'ÑandeBaby Timer',
+  short_name: 'ÑandeBaby',
+  description: 'Registro rápido de tomas, medicamentos, pañales y sueño del bebé',
+  lang: 'es',
+  start_url: './',
+  scope: './',
+  display: 'standalone',
+  background_color: '#f4f4f5',
+  theme_color: THEME_LIGHT,
+  icons: [
+    { src: 'icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+    { src: 'icon-maskable.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'maskable' },
+  ],
+}, null, 2)
+
+const FILES = { 'manifest.webmanifest': MANIFEST, ...ICONS }
+const MIME = { '.webmanifest': 'application/manifest+json', '.svg': 'image/svg+xml' }
+
+export default function pwa(){
+  let base = '/'
+  return {
+    name: 'nandebaby-pwa',
+    configResolved(config){ base = config.base },
+    transformIndexHtml(){
+      return [
+        { tag: 'link', attrs: { rel: 'manifest', href: `${base}manifest.webmanifest` }, injectTo: 'head' },
+        { tag: 'link', attrs: { rel: 'icon', type: 'image/svg+xml', href: `${base}icon.svg` }, injectTo: 'head' },
+        { tag: 'link', attrs: { rel: 'apple-touch-icon', href: `${base}icon-maskable.svg` }, injectTo: 'head' },
+        { tag: 'meta', attrs: { name: 'theme-color', content: THEME_LIGHT }, injectTo: 'head' },
+      ]
+    },
+    // En desarrollo se sirven manifest e íconos; el service worker solo se registra en producción
+    configureServer(server){
+      server.middlewares.use((req, res, next) => {
+        const file = req.url?.startsWith(base) ? req.url.slice(base.length) : null
+        if (!file || !(file in FILES)) return next()
+        res.setHeader('Content-Type', MIME[file.slice(file.lastIndexOf('.'))])
+        res.end(FILES[file])
+      })
+    },
+    generateBundle(_, bundle){
+      for (const [fileName, source] of Object.entries(FILES)) this.emitFile({ type: 'asset', fileName, source })
+      const precache = [...new Set(['./', 'index.html', ...Object.keys(bundle), ...Object.keys(FILES)])]
+        .filter(f => !f.endsWith('.map'))
+      const version = createHash('sha256').update(precache.join('\n')).digest('hex').slice(0, 10)
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('self.__PRECACHE__ ?? []', JSON.stringify(precache))
+        .replace('__CACHE_VERSION__', version)
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
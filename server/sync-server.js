@@ -0,0 +1,112 @@
+// Servidor de sincronización de ÑandeBaby (autoalojable, sin base de datos)
+//   node server/sync-server.js            → puerto 8787, datos en ./sync-data
+//   PORT=9000 SYNC_DATA=/var/lib/nandebaby node server/sync-server.js
+// Cada "sala" (el código que comparten los teléfonos) se guarda como un JSON. No hay cuentas:
+// el código de sala es el secreto, así que conviene publicarlo detrás de HTTPS (wss://).
+//
+// POST /rooms/:room      { since, entries } → { seq, entries }  (combina y devuelve lo nuevo desde `since`)
+// GET  /rooms/:room/ws   WebSocket; envía { type: 'changed', seq } cuando alguien sube cambios
+import { createServer } from 'node:http'
+import { mkdirSync, readFileSync, writeFileSync, renameSync } from 'node:fs'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { WebSocketServer } from 'ws'
+import { pickWinner } from '../src/sync.js'
+
+const ROOM_RE = /^\/rooms\/([\w-]{8,64})(\/ws)?\/?$/
+const MAX_BODY = 5*1024*1024
+
+export function createSyncServer({ dataDir = 'sync-data' } = {}){
+  mkdirSync(dataDir, { recursive: true })
+  const rooms = new Map() // room → { seq, entries: { id: { seq, entry } } }
+  const sockets = new Map() // room → Set<WebSocket>
+
+  function load(room){
+    if (!rooms.has(room)){
+      let data = { seq: 0, entries: {} }
+      try { data = JSON.parse(readFileSync(join(dataDir, `${room}.json`), 'utf8')) } catch { /* sala nueva */ }
+      rooms.set(room, data)
+    }
+    return rooms.get(room)
+  }
+
+  function save(room){
+    const file = join(dataDir, `${room}.json`)
+    writeFileSync(file + '.tmp', JSON.stringify(rooms.get(room)))
+    renameSync(file + '.tmp', file)
+  }
+
+  function exchange(room, { since = 0, entries = [] }){
+    const data = load(room)
+    let changed = false
+    for (const entry of entries){
+      if (!entry?.id) continue
+      const prev = data.entries[entry.id]?.entry
+      const winner = pickWinner(prev, entry)
+      if (prev && winner === prev) continue
+      data.entries[entry.id] = { seq: ++data.seq, entry: winner }
+      changed = true
+    }
+    if (changed){
+      save(room)
+      for (const ws of sockets.get(room) ?? []) ws.send(JSON.stringify({ type: 'changed', seq: data.seq }))
+    }
+    const fresh = Object.values(data.entries).filter(x => x.seq > since).map(x => x.entry)
+    return { seq: data.seq, entries: fresh }
+  }
+
+  const server = createServer((req, res) => {
+    // La app se sirve desde otro origen (p. ej. GitHub Pages)
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
+    if (req.method === 'OPTIONS'){ res.writeHead(204).end(); return }
+    const match = ROOM_RE.exec(new URL(req.url, 'http://localhost').pathname)
+    if (!match || match[2] || req.method !== 'POST'){ res.writeHead(404).end(); return }
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', (chunk) => {
+      body += chunk
+      if (body.length > MAX_BODY){ res.writeHead(413).end(); req.destroy() }
+    })
+    req.on('end', () => {
+      if (res.writableEnded) return
+      try {
+        const result = exchange(match[1], JSON.parse(body || '{}'))
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(result))
+      } catch {
+        res.writeHead(400).end()
+      }
+    })
+  })
+
+  const wss = new WebSocketServer({ noServer: true })
+  // Un cliente que corta mal o manda tramas inválidas no debe tirar el servidor de todas las salas
+  server.on('upgrade', (req, socket, head) => {
+    socket.on('error', () => socket.destroy())
+    const match = ROOM_RE.exec(new URL(req.url, 'http://localhost').pathname)
+    if (!match?.[2]){ socket.destroy(); return }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const room = match[1]
+      if (!sockets.has(room)) sockets.set(room, new Set())
+      sockets.get(room).add(ws)
+      const drop = () => {
+        const set = sockets.get(room)
+        set?.delete(ws)
+        if (set?.size === 0) sockets.delete(room)
+      }
+      ws.on('close', drop)
+      ws.on('error', () => { drop(); ws.terminate() })
+    })
+  })
+  server.on('close', () => wss.close())
+
+  return server
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)){
+  const port = Number(process.env.PORT) || 8787
+  createSyncServer({ dataDir: process.env.SYNC_DATA || 'sync-data' }).listen(port, () => {
+    console.log(`Sincronización de ÑandeBaby escuchando en http://localhost:${port}`)
+  })
+}
@@ -1,184 +1,421 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import QRCode from "qrcode";
+import { appIconSvg, THEME_DARK, THEME_LIGHT } from "./icon.js";
+import { DAYS_PER_MONTH, lmsAt, PERCENTILES, valueAtZ, WHO_MAX_MONTHS } from "./who-growth.js";
+import { applyLiveChange, createHttpTransport, decodeExchange, encodeExchange, liveEntries, markPushed, mergeEntries, newRoomCode, pendingChanges, validRecord } from "./sync.js";
+import { addDays, dateKey, diffToCountdown, fmtClock, fmtDate, fmtHours, fmtTime, fromDateKey, fromLocalInput, normalizeLabel, nowISO, parseAmount, sortByTimeDesc, startOfDay, toLocalInput } from "./utils.js";
+import { DEFAULT_SETTINGS, KINDS, makeTypeKey, migrateSettings, TYPE_TEMPLATE, typeMeta } from "./types.js";
+import { applyUndo, computeLastByType, computeNextDue, computePredictions, normalizeEntry, validateEntry } from "./entries.js";
+import { buildImport, guessMapping, IMPORT_FIELDS, matchType, parseCSV, toCSV } from "./csv.js";
+import { describeNursing, finishNursing, fmtDuration, nursingDurations, nursingRunning, nursingStep, otherSide, SIDES, suggestNextSide } from "./nursing.js";
+import { describeSleep, sleepTotals } from "./sleep.js";
+import { aggregateStats, average, averageInterval, intervalAdherence } from "./stats.js";
+import { computeGaps, dayLabel, EMPTY_FILTERS, filterTimeline, groupByDay, TIMELINE_PAGE, timelineKey } from "./timeline.js";
+import { describeSchedule, dosesIn24h, doseWarnings, isScheduled, medIdle, normalizeTimes } from "./medications.js";
+import { ageInMonths, fmtPercentile, fromBase, growthPercentile, isMeasurementType, MEASUREMENT_TYPE, MEASURES, normalizeMeasurement, toBase, unitsFor, validateMeasurement } from "./growth.js";
+import { backupSummary, CORRUPT_SUFFIX, createBackup, ensureDailySnapshot, getJSON, localStore, migrateLocalData, prepareRestore, PROFILE_KEYS, profileKey, readProfile, persist, restoreBackup, SNAPSHOT_DAYS, SNAPSHOTS_KEY, takeSnapshot, useLocalStorage, useStorageWarnings, writeProfileEntries, writeProfileMeasurements } from "./storage.js";
+import { buildReminders, scheduleReminders } from "./reminders.js";
+import { detectLocale, LOCALES, setLocale, tr } from "./i18n.js";
+import { displayUnit, fmtAmount, fromDisplay, toDisplay, VOLUME_UNITS } from "./units.js";
+import { dueList, handoffSummary, nightAmount, UNLOCK_HOLD_MS } from "./handoff.js";
 
-// ÑandeBaby Timer – Single-file React app (UX refresh)
+// ÑandeBaby Timer – React app (UX refresh); la lógica pura vive en módulos de src/ con sus pruebas (*.test.js)
 // ✅ Modo claro/oscuro mejorado, contraste fijo
-// ✅ UI más simple: Simeticona y Vitamina ahora son botón (sin cantidad)
-// ✅ Leche mantiene cantidad + presets
-// ✅ Pañal: solo marcar cambio (sin estado)
+// ✅ UI más simple: tipos sin cantidad son un botón; los que tienen cantidad usan presets
 // ✅ Título e ícono del navegador actualizados
-// ✅ Persistencia, CSV, recordatorios locales, pruebas internas
+// ✅ Persistencia, CSV, recordatorios locales
+// ✅ Edición de registros (hora atrasada, tipo, cantidad, notas) y deshacer
+// ✅ Lactancia: temporizador por lado (izquierdo/derecho) que sobrevive a recargas
+// ✅ Tipos de registro configurables (emoji, color, cantidad, intervalo, atajos)
+// ✅ Sueño: tramos inicio/fin, tiempo despierto y totales diarios (día/noche)
+// ✅ Estadísticas por día/semana con gráficos SVG
+// ✅ Varios bebés: perfiles con historial y ajustes propios, historial combinado
+// ✅ PWA instalable: recordatorios en el service worker con "Registrar ahora" y "Posponer"
+// ✅ Importación CSV con vista previa: validación, duplicados, mapeo de columnas y tipos
+// ✅ Copia de seguridad JSON completa, migraciones versionadas e instantáneas automáticas
+// ✅ Sincronización entre teléfonos: servidor propio (server/sync-server.js), QR para vincular y archivo manual
+// ✅ Crecimiento: peso, longitud y perímetro cefálico con percentiles OMS según edad y sexo
+// ✅ Informe para el pediatra por rango de fechas, listo para imprimir o guardar como PDF
+// ✅ Medicamentos: dosis, cada N horas u horas fijas, máximo en 24 h y tratamientos con fecha de fin
+// ✅ Historial agrupado por día con subtotales, filtros, búsqueda en notas, paginación y tiempo entre registros
+// ✅ Próximo registro adaptativo (opcional por tipo): predicción según el historial y la hora del día, con rango
+// ✅ Pruebas automáticas con Vitest + Testing Library (npm test), fuera de la app
+// ✅ Idiomas español e inglés (i18n.js, fácil de sumar guaraní), encabezado CSV fijo y conversión ml/oz
+// ✅ Modo noche / cuidador: tonos rojos, botones grandes, lo que toca, resumen para el relevo y salida con bloqueo
 
-// -------------------- Utilities --------------------
-const nowISO = () => new Date().toISOString();
-const fmtTime = (iso) => new Date(iso).toLocaleString();
-const pad = (n) => String(n).padStart(2, "0");
+function safePrefersDark(){
+  try {
+    return !!(typeof window !== 'undefined' && window.matchMedia?.('(prefers-color-scheme: dark)').matches);
+  } catch { return false; }
+}
 
-const toCSV = (rows) => {
-  const header = ["id", "tipo", "hora", "cantidad", "notas"]; 
-  const escape = (s) => '"' + String(s ?? "").replace(/"/g, '""') + '"';
-  return [header.join(","), ...rows.map(r => [r.id, r.type, r.time, r.amount ?? "", r.notes ?? ""].map(escape).join(","))].join("\n");
-};
+// -------------------- Sincronización entre dispositivos --------------------
+// nb_sync:<id> = { server, room, since, pushed, lastSync } (pushed: ver pendingChanges). Se sincroniza el perfil abierto:
+// al cambiar el historial (con un pequeño retraso), al volver la conexión, cuando el servidor
+// avisa por WebSocket y cada pocos minutos. Sin conexión los cambios quedan pendientes.
+const SYNC_DEBOUNCE_MS = 1500, SYNC_POLL_MS = 5*60*1000;
+
+function useSync(profileId, records, setRecords){
+  const [sync, setSync] = useLocalStorage(profileKey("nb_sync", profileId), null);
+  const [status, setStatus] = useState('idle'); // idle | syncing | ok | offline
+  const latest = useRef({ records, sync });
+  const running = useRef(null); // null | 'busy' | 'again'
+  useEffect(()=>{ latest.current = { records, sync }; }, [records, sync]);
 
-const fromCSV = async (file) => {
-  const text = await file.text();
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  const [h, ...rest] = lines;
-  const idx = Object.fromEntries(h.split(',').map((k, i) => [k.trim(), i]));
-  return rest.map((line) => {
-    const cols = [];
-    let cur = ""; let inQ = false;
-    for (let i=0;i<line.length;i++){
-      const ch = line[i];
-      if (ch === '"'){
-        if (inQ && line[i+1] === '"'){ cur += '"'; i++; }
-        else inQ = !inQ;
-      } else if (ch === ',' && !inQ){ cols.push(cur); cur=""; }
-      else cur += ch;
+  const syncNow = useCallback(async ()=>{
+    if (running.current){ running.current = 'again'; return; }
+    const cfg = latest.current.sync;
+    if (!cfg?.server || !cfg?.room) return;
+    running.current = 'busy';
+    setStatus('syncing');
+    const outgoing = pendingChanges(latest.current.records, cfg.pushed);
+    try {
+      const res = await createHttpTransport(cfg.server).exchange(cfg.room, { since: cfg.since ?? 0, entries: outgoing });
+      // El servidor guarda cualquier objeto con id: lo que no es un registro válido no entra al historial
+      const incoming = res.entries.filter(validRecord);
+      if (incoming.length) setRecords((r)=> mergeEntries(r, incoming));
+      // Lo recibido también queda anotado: el servidor ya lo tiene
+      const pushed = markPushed(cfg.pushed, [...outgoing, ...incoming], latest.current.records);
+      const next = { ...cfg, since: res.seq, pushed, pushedAt: undefined, lastSync: nowISO() }; // pushedAt: formato anterior
+      latest.current.sync = next;
+      setSync((s)=> s?.room === cfg.room ? next : s);
+      setStatus('ok');
+    } catch {
+      setStatus('offline');
     }
-    cols.push(cur);
-    const get = (k) => cols[idx[k]] ?? "";
-    return { id: get("id"), type: get("tipo"), time: get("hora"), amount: get("cantidad") || undefined, notes: get("notas") || undefined };
-  });
-};
+    const again = running.current === 'again';
+    running.current = null;
+    if (again) syncNow();
+  }, [setRecords, setSync]);
 
-const DEFAULT_SETTINGS = {
-  intervals: { leche: 3, simeticona: 6, vitamina: 24, panal: 3 }, // horas (0 = sin recordatorio)
-  units: { leche: "ml" }, // solo leche usa unidad
-  babyName: "Bebé",
-};
+  // Cambios locales
+  useEffect(()=>{
+    if (!sync?.room) return;
+    const id = setTimeout(syncNow, SYNC_DEBOUNCE_MS);
+    return ()=> clearTimeout(id);
+  }, [records, sync?.room, syncNow]);
 
-const TYPES = [
-  { key: "leche", label: "Leche", emoji: "🍼" },
-  { key: "simeticona", label: "Simeticona", emoji: "💧" },
-  { key: "vitamina", label: "Vitamina", emoji: "✨" },
-  { key: "panal", label: "Pañal", emoji: "🚼" },
-];
-
-// -------------------- Pure helpers (testable) --------------------
-function computeLastByType(entries){
-  const map = Object.fromEntries(TYPES.map(t => [t.key, null]));
-  const sorted = [...entries].sort((a,b)=> new Date(b.time)-new Date(a.time));
-  for (const e of sorted){ if (!map[e.type]) map[e.type] = e; }
-  return map; // { key: entry|null }
-}
+  // Cambios de otros dispositivos y reconexión
+  useEffect(()=>{
+    if (!sync?.server || !sync?.room) return;
+    const unsubscribe = createHttpTransport(sync.server).subscribe(sync.room, syncNow);
+    const poll = setInterval(syncNow, SYNC_POLL_MS);
+    window.addEventListener('online', syncNow);
+    return ()=> { unsubscribe(); clearInterval(poll); window.removeEventListener('online', syncNow); };
+  }, [sync?.server, sync?.room, syncNow]);
 
-function computeNextDue(lastByType, settings){
-  const res = Object.fromEntries(TYPES.map(t => [t.key, null]));
-  for (const t of TYPES){
-    const last = lastByType?.[t.key]?.time;
-    const hours = Number(settings?.intervals?.[t.key] || 0);
-    if (last && hours>0){
-      const due = new Date(new Date(last).getTime() + hours*3600*1000).toISOString();
-      res[t.key] = due;
-    }
-  }
-  return res; // { key: iso|null }
+  return { sync, setSync, status, syncNow };
 }
 
-function diffToCountdown(isoUntil){
-  if (!isoUntil) return "--:--:--";
-  const ms = new Date(isoUntil).getTime() - Date.now();
-  if (Number.isNaN(ms)) return "--:--:--";
-  if (ms <= 0) return "¡Ahora!";
-  const s = Math.floor(ms/1000);
-  const h = Math.floor(s/3600);
-  const m = Math.floor((s%3600)/60);
-  const ss = s%60;
-  return `${pad(h)}:${pad(m)}:${pad(ss)}`;
+// Enlace de vinculación (el QR lo codifica): ...#sync=<código>&server=<url>
+function syncLink(sync){
+  const params = new URLSearchParams({ sync: sync.room, server: sync.server });
+  return `${location.origin}${location.pathname}#${params}`;
 }
 
-function safePrefersDark(){
-  try {
-    return typeof window !== 'undefined' && window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-  } catch { return false; }
+function readSyncLink(){
+  if (typeof location === 'undefined') return null;
+  const params = new URLSearchParams(location.hash.slice(1));
+  const room = params.get('sync'), server = params.get('server');
+  return room && server ? { room, server } : null;
 }
 
-function useLocalStorage(key, initial) {
-  const [value, setValue] = useState(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initial;
-    } catch { return initial; }
+// -------------------- Component --------------------
+export default function App(){
+  // Las migraciones corren antes de leer cualquier clave
+  useState(migrateLocalData);
+  // Idioma del dispositivo (no del perfil): se fija antes de renderizar a los hijos, que traducen con tr()
+  const [locale, setLocalePref] = useLocalStorage("nb_locale", detectLocale);
+  setLocale(locale);
+  useEffect(()=> { document.documentElement.lang = locale; }, [locale]);
+  const [profiles, setProfiles] = useLocalStorage("nb_profiles", ()=> {
+    const id = crypto.randomUUID();
+    return { active: id, list: [{ id, name: DEFAULT_SETTINGS.babyName }] };
   });
-  useEffect(() => {
-    try { localStorage.setItem(key, JSON.stringify(value)); } catch { /* ignore */ }
-  }, [key, value]);
-  return [value, setValue];
+
+  // Instantánea diaria para poder deshacer un "Borrar historial" o una importación mala
+  useEffect(()=> { try { ensureDailySnapshot(); } catch { /* ignore */ } }, []);
+
+  function addProfile(name){
+    const id = crypto.randomUUID();
+    persist(profileKey("nb_settings", id), JSON.stringify({ ...DEFAULT_SETTINGS, babyName: name }));
+    setProfiles((p)=> ({ ...p, list: [...p.list, { id, name }] }));
+    return id;
+  }
+
+  function renameProfile(id, name){
+    setProfiles((p)=> ({ ...p, list: p.list.map(x => x.id === id ? { ...x, name } : x) }));
+  }
+
+  function deleteProfile(id){
+    if (profiles.list.length <= 1) return;
+    const name = profiles.list.find(x => x.id === id)?.name;
+    if (!confirm(tr('¿Eliminar el perfil "{name}" y todo su historial?', { name }))) return;
+    try { for (const base of PROFILE_KEYS) localStorage.removeItem(profileKey(base, id)); } catch { /* ignore */ }
+    setProfiles((p)=> {
+      const list = p.list.filter(x => x.id !== id);
+      return { active: p.active === id ? list[0].id : p.active, list };
+    });
+  }
+
+  // Cambiar de perfil remonta BabyApp, que vuelve a leer las claves del nuevo perfil
+  return (
+    <BabyApp
+      key={profiles.active}
+      profileId={profiles.active}
+      profiles={profiles.list}
+      onSwitchProfile={(id)=> setProfiles((p)=> ({ ...p, active: id }))}
+      onAddProfile={addProfile}
+      onRenameProfile={renameProfile}
+      onDeleteProfile={deleteProfile}
+      locale={locale}
+      onLocale={setLocalePref}
+    />
+  );
 }
 
-// -------------------- Component --------------------
-export default function App(){
-  const [entries, setEntries] = useLocalStorage("nb_entries", []);
-  const [settings, setSettings] = useLocalStorage("nb_settings", DEFAULT_SETTINGS);
+function BabyApp({ profileId, profiles, onSwitchProfile, onAddProfile, onRenameProfile, onDeleteProfile, locale, onLocale }){
+  // records incluye lápidas y updatedAt (ver sync.js); la UI usa solo los registros vivos
+  const [records, setRecords] = useLocalStorage(profileKey("nb_entries", profileId), []);
+  const entries = useMemo(()=> liveEntries(records), [records]);
+  const storageWarnings = useStorageWarnings();
+  const warnedKeys = (kind) => storageWarnings.filter(w => w.kind === kind).map(w => w.key).join(", ");
+  const setEntries = useCallback((next)=> setRecords((r)=> applyLiveChange(r, typeof next === 'function' ? next(liveEntries(r)) : next)), [setRecords]);
+  const { sync, setSync, status: syncStatus, syncNow } = useSync(profileId, records, setRecords);
+  const [joinLink, setJoinLink] = useState(readSyncLink); // enlace de vinculación abierto desde un QR
+  const [settings, setSettings] = useLocalStorage(profileKey("nb_settings", profileId), DEFAULT_SETTINGS, migrateSettings);
   const [dark, setDark] = useLocalStorage("nb_dark", safePrefersDark());
   const [notifEnabled, setNotifEnabled] = useLocalStorage("nb_notif", false);
-  const [quickAmount, setQuickAmount] = useLocalStorage("nb_quick_amount", { leche: "120" });
-  const [testResults, setTestResults] = useState([]);
+  // Modo noche / cuidador (por dispositivo); el PIN solo evita salidas accidentales, no protege datos
+  const [night, setNight] = useLocalStorage("nb_night", false);
+  const [nightPin, setNightPin] = useLocalStorage("nb_night_pin", "");
+  const [quickAmount, setQuickAmount] = useLocalStorage(profileKey("nb_quick_amount", profileId), { leche: "120" });
+  const [nursing, setNursing] = useLocalStorage(profileKey("nb_nursing", profileId), null); // sesión de pecho en curso
+  const [measurements, setMeasurements] = useLocalStorage(profileKey("nb_measurements", profileId), []); // crecimiento
+  const [showAll, setShowAll] = useState(false); // historial combinado de todos los perfiles
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // filtros del historial
+  const [limit, setLimit] = useState(TIMELINE_PAGE); // registros visibles del historial
+  const [others, setOthers] = useState([]); // datos de los demás perfiles, leídos al abrir el historial combinado
+  const [editing, setEditing] = useState(null); // registro en edición (o borrador nuevo)
+  const [importing, setImporting] = useState(null); // CSV leído, pendiente de confirmar
+  const [lastAction, setLastAction] = useState(null); // { label, undo }
+  const [view, setView] = useState('home'); // 'home' | 'stats' | 'growth' | 'report'
   const fileInputRef = useRef(null);
 
   // App title & favicon
   useEffect(()=>{
     document.title = "ÑandeBaby Timer";
-    const svgIcon = encodeURIComponent(`<?xml version="1.0" encoding="UTF-8"?><svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 64 64'><rect width='64' height='64' rx='14' fill='${dark ? '#111827' : '#ffffff'}'/><text x='50%' y='50%' dominant-baseline='middle' text-anchor='middle' font-size='36'>🍼</text></svg>`);
+    const svgIcon = encodeURIComponent(appIconSvg({ background: dark ? THEME_DARK : THEME_LIGHT }));
     let link = document.querySelector("link[rel='icon']");
     if(!link){ link = document.createElement('link'); link.rel='icon'; document.head.appendChild(link); }
     link.href = `data:image/svg+xml,${svgIcon}`;
   }, [dark]);
 
-  // Theme
-  useEffect(()=>{ document.documentElement.classList.toggle('dark', !!dark); }, [dark]);
+  // Theme (al imprimir siempre claro: las variantes dark: ganan a las print:); el modo noche es siempre oscuro
+  useEffect(()=>{
+    const root = document.documentElement;
+    const apply = ()=> root.classList.toggle('dark', !!dark || !!night);
+    const light = ()=> root.classList.remove('dark');
+    apply();
+    window.addEventListener('beforeprint', light);
+    window.addEventListener('afterprint', apply);
+    return ()=> { window.removeEventListener('beforeprint', light); window.removeEventListener('afterprint', apply); };
+  }, [dark, night]);
 
   // Derivados
-  const lastByType = useMemo(()=> computeLastByType(entries), [entries]);
-  const nextDue = useMemo(()=> computeNextDue(lastByType, settings), [lastByType, settings]);
+  const types = settings.types;
+  const volumeUnit = settings.volumeUnit;
+  const visibleTypes = useMemo(()=> types.filter(t => !t.hidden), [types]);
+  const lastByType = useMemo(()=> computeLastByType(entries, types), [entries, types]);
+  const nextSide = useMemo(()=> suggestNextSide(entries), [entries]);
+  const predictions = useMemo(()=> computePredictions(entries, types), [entries, types]);
+  const nextDue = useMemo(()=> computeNextDue(lastByType, types, Date.now(), predictions), [lastByType, types, predictions]);
+  const profileName = profiles.find(p => p.id === profileId)?.name ?? settings.babyName;
+  const timeline = useMemo(()=> showAll
+    ? sortByTimeDesc([
+      ...entries.map(e => ({ ...e, profile: profileName })),
+      ...others.flatMap(o => o.entries.map(e => ({ ...e, profile: o.profile.name, readOnly: true, types: o.types }))),
+    ])
+    : entries, [showAll, entries, others, profileName]);
+  const gaps = useMemo(()=> computeGaps(timeline), [timeline]);
+  const filtered = useMemo(()=> filterTimeline(timeline, filters), [timeline, filters]);
+  const dayGroups = useMemo(()=> groupByDay(filtered.slice(0, limit), types), [filtered, limit, types]);
+  const filtering = !!(filters.types.length || filters.from || filters.to || filters.query.trim());
+  const updateFilters = (patch) => { setFilters((f)=> ({ ...f, ...patch })); setLimit(TIMELINE_PAGE); };
 
   // ticking countdown
   const [, setTick] = useState(0);
   useEffect(()=>{ const id = setInterval(()=> setTick(x=>x+1), 1000); return ()=> clearInterval(id); },[]);
 
-  // Notificaciones (tab abierta)
+  // Recordatorios de todos los perfiles
   useEffect(()=>{
-    if (!notifEnabled) return; 
-    if (typeof Notification !== "undefined" && Notification.permission === "default"){ Notification.requestPermission(); }
-    if (!nextDue) return;
-    const timers = [];
-    for (const t of TYPES){
-      const due = nextDue[t.key];
-      if (!due) continue;
-      const ms = new Date(due).getTime() - Date.now();
-      if (Number.isNaN(ms)) continue;
-      if (ms > 0 && ms < 24*3600*1000){
-        const timer = setTimeout(()=>{
-          if (typeof Notification !== "undefined" && Notification.permission === "granted"){
-            new Notification(`${t.label}: hora del próximo evento`);
-          } else {
-            alert(`${t.label}: hora del próximo evento`);
-          }
-        }, ms);
-        timers.push(timer);
+    if (notifEnabled && typeof Notification !== "undefined" && Notification.permission === "default"){ Notification.requestPermission(); }
+    const reminders = !notifEnabled ? [] : [
+      ...buildReminders({ id: profileId, name: settings.babyName }, visibleTypes, nextDue, quickAmount),
+      ...profiles.filter(p => p.id !== profileId).flatMap(p => {
+        const o = readProfile(p.id);
+        const due = computeNextDue(computeLastByType(o.entries, o.types), o.types, Date.now(), computePredictions(o.entries, o.types));
+        return buildReminders(p, o.types, due, o.quickAmount);
+      }),
+    ];
+    return scheduleReminders(reminders);
+  }, [nextDue, notifEnabled, visibleTypes, settings.babyName, quickAmount, profiles, profileId]);
+
+  // Registros hechos con "Registrar ahora" desde una notificación (la app los recibe del SW)
+  useEffect(()=>{
+    const sw = navigator.serviceWorker;
+    if (!sw) return;
+    const drain = ()=> sw.getRegistration().then((reg)=> reg?.active?.postMessage({ type: 'drain' }));
+    function onMessage(ev){
+      if (ev.data?.type === 'sync') drain();
+      if (ev.data?.type !== 'log') return;
+      for (const { profileId: target, ...item } of ev.data.items){
+        const entry = normalizeEntry(item);
+        if (target === profileId) setEntries((e)=> sortByTimeDesc([...e.filter(x=>x.id!==entry.id), entry]));
+        else writeProfileEntries(target, [entry]);
       }
     }
-    return ()=> timers.forEach(clearTimeout);
-  }, [nextDue, notifEnabled]);
+    sw.addEventListener('message', onMessage);
+    drain();
+    return ()=> sw.removeEventListener('message', onMessage);
+  }, [profileId, setEntries]);
+
+  // El aviso de "Deshacer" desaparece solo
+  useEffect(()=>{
+    if (!lastAction) return;
+    const id = setTimeout(()=> setLastAction(null), 10000);
+    return ()=> clearTimeout(id);
+  }, [lastAction]);
 
   // -------------------- Actions --------------------
   function addEntry(type, amount, notes){
-    if (type === 'leche' && (!amount || String(amount).trim()==="")){
-      const val = prompt("¿Cuánto tomó? (ml)", quickAmount.leche || "");
+    const t = typeMeta(types, type);
+    const time = nowISO();
+    if (!confirmDose(t, time)) return;
+    if (t.quantity && (!amount || String(amount).trim()==="")){
+      const unit = displayUnit(t.unit, volumeUnit);
+      const val = prompt(`${tr("¿Cantidad de {label}?", { label: t.label })}${unit ? ` (${unit})` : ""}`, toDisplay(quickAmount[type], t.unit, volumeUnit));
       if (val === null) return; // cancelado
-      amount = val;
-      setQuickAmount(q=> ({...q, leche: val}));
+      amount = fromDisplay(val, t.unit, volumeUnit);
+      setQuickAmount(q=> ({...q, [type]: amount}));
     }
-    const entry = { id: crypto.randomUUID(), type, time: nowISO(), amount: amount || undefined, notes: notes || undefined };
-    setEntries((e)=> [entry, ...e]);
+    saveEntry({ id: crypto.randomUUID(), type, time, amount, notes }, true);
   }
 
-  function removeEntry(id){ setEntries((e)=> e.filter(x=>x.id!==id)); }
+  // Dosis temprana, sobre el máximo en 24 h o fuera del tratamiento: se pide confirmación
+  function confirmDose(t, time){
+    const warnings = doseWarnings(entries, t, time);
+    return !warnings.length || confirm(`${warnings.join("\n")}\n\n${tr("¿Registrar la dosis igual?")}`);
+  }
 
-  function clearAll(){ if (confirm("¿Borrar todo el historial?")) setEntries([]); }
+  // Alta o edición (mismo id) con validación; registra la acción para "Deshacer"
+  function saveEntry(draft, confirmed = false){
+    const prev = entries.find(x=>x.id===draft.id);
+    const error = validateEntry(draft, types, Date.now(), prev);
+    if (error){ alert(error); return false; }
+    const t = typeMeta(types, draft.type);
+    if (!prev && !confirmed && !confirmDose(t, draft.time)) return false;
+    // La unidad de la dosis queda en el registro aunque luego cambie la del tipo
+    const entry = normalizeEntry(t.kind === 'med' && t.unit && !draft.unit ? { ...draft, unit: t.unit } : draft);
+    setEntries((e)=> sortByTimeDesc([...e.filter(x=>x.id!==entry.id), entry]));
+    setLastAction(prev
+      ? { label: tr("Registro editado"), undo: { kind: 'restore', entry: prev } }
+      : { label: tr("Registro agregado"), undo: { kind: 'remove', id: entry.id } });
+    return true;
+  }
 
+  function removeEntry(id){
+    const prev = entries.find(x=>x.id===id);
+    setEntries((e)=> e.filter(x=>x.id!==id));
+    if (prev) setLastAction({ label: tr("Registro eliminado"), undo: { kind: 'restore', entry: prev } });
+  }
+
+  function nursingAction(action, side, type){
+    if (action === 'start'){
+      setNursing({ ...nursingStep(null, 'start', side), type });
+    } else if (action === 'stop'){
+      if (saveEntry(finishNursing(nursing))) setNursing(null);
+    } else if (action === 'cancel'){
+      if (confirm(tr("¿Descartar la toma en curso?"))) setNursing(null);
+    } else {
+      setNursing((n)=> nursingStep(n, action, side));
+    }
+  }
+
+  function toggleSleep(type){
+    const ongoing = lastByType[type];
+    if (ongoing && !ongoing.end) saveEntry({ ...ongoing, end: nowISO() });
+    else saveEntry({ id: crypto.randomUUID(), type, time: nowISO() });
+  }
+
+  // -------------------- Tipos de registro --------------------
+  function updateType(key, patch){
+    setSettings((s)=> ({...s, types: s.types.map(t => t.key === key ? { ...t, ...patch } : t)}));
+  }
+
+  function moveType(key, delta){
+    setSettings((s)=> {
+      const list = [...s.types];
+      const i = list.findIndex(t => t.key === key);
+      const j = i + delta;
+      if (i < 0 || j < 0 || j >= list.length) return s;
+      [list[i], list[j]] = [list[j], list[i]];
+      return {...s, types: list};
+    });
+  }
+
+  function addType(label){
+    if (!label.trim()) return;
+    setSettings((s)=> ({...s, types: [...s.types, { ...TYPE_TEMPLATE, key: makeTypeKey(label, s.types), label: label.trim() }]}));
+  }
+
+  function deleteType(key){
+    const t = typeMeta(types, key);
+    const count = entries.filter(e => e.type === key).length;
+    const msg = count
+      ? tr('¿Eliminar el tipo "{label}"? Sus {count} registros se conservan en el historial. Para dejar de verlo sin borrarlo, usa "Oculto".', { label: t.label, count })
+      : tr('¿Eliminar el tipo "{label}"?', { label: t.label });
+    if (!confirm(msg)) return;
+    setSettings((s)=> ({...s, types: s.types.filter(x => x.key !== key)}));
+  }
+
+  function undoLast(){
+    if (!lastAction) return;
+    // Importar y combinar tocan tipos, medidas y otros perfiles: se vuelve a la instantánea previa
+    // (restoreBackup deja lápidas de lo importado y conserva el cursor de sincronización)
+    if (lastAction.undo.kind === 'snapshot'){
+      restoreBackup(lastAction.undo.data);
+      location.reload();
+      return;
+    }
+    setEntries((e)=> applyUndo(e, lastAction.undo));
+    setLastAction(null);
+  }
+
+  function loadOthers(list = profiles){
+    setOthers(list.filter(p => p.id !== profileId).map(p => ({ profile: p, ...readProfile(p.id) })));
+  }
+
+  function createProfile(){
+    const name = prompt(tr("Nombre del bebé"), "");
+    if (!name?.trim()) return;
+    onSwitchProfile(onAddProfile(name.trim()));
+  }
+
+  function clearAll(){
+    if (!confirm(tr(sync ? "¿Borrar todo el historial? También se borrará en los teléfonos vinculados." : "¿Borrar todo el historial?"))) return;
+    takeSnapshot(tr("Antes de borrar el historial de {name}", { name: profileName }));
+    setEntries([]);
+  }
+
+  // En modo combinado se exportan todos los perfiles; la columna "perfil" lleva el nombre
   function handleExport(){
-    const csv = toCSV(entries);
+    const growth = [
+      ...measurements.map(m => ({ ...m, type: MEASUREMENT_TYPE, profile: profileName })),
+      ...(showAll ? others.flatMap(o => o.measurements.map(m => ({ ...m, type: MEASUREMENT_TYPE, profile: o.profile.name }))) : []),
+    ];
+    const rows = sortByTimeDesc([...(showAll ? timeline : entries.map(e => ({ ...e, profile: profileName }))), ...growth]);
+    const csv = toCSV(rows);
     const blob = new Blob([csv], { type: "text/csv;charset=utf-8;"});
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
@@ -186,203 +423,424 @@ export default function App(){
     a.click(); URL.revokeObjectURL(url);
   }
 
+  // Lee el archivo y abre la vista previa; nada se guarda hasta confirmar en ImportDialog
   async function handleImport(ev){
     const file = ev.target.files?.[0];
     if (!file) return;
     try {
-      const rows = await fromCSV(file);
-      setEntries((prev)=> {
-        const existing = new Set(prev.map(x=>x.id));
-        const merged = [...prev, ...rows.filter(r=>!existing.has(r.id))];
-        return merged.sort((a,b)=> new Date(b.time)-new Date(a.time));
-      });
-      alert("Importación completada");
+      const parsed = parseCSV(await file.text());
+      if (!parsed.columns.length) alert(tr("El archivo está vacío"));
+      else setImporting({ fileName: file.name, ...parsed });
     } catch {
-      alert("No se pudo importar el CSV");
+      alert(tr("No se pudo leer el CSV"));
     } finally { if (fileInputRef.current) fileInputRef.current.value = ""; }
   }
 
-  // -------------------- Simple self-tests --------------------
-  useEffect(()=>{
-    const results = [];
-    function expect(name, cond){ results.push({ name, pass: !!cond }); }
-
-    const tNow = Date.now();
-    const mock = [
-      { id: 'a1', type: 'leche', time: new Date(tNow-2*3600*1000).toISOString(), amount: '90' },
-      { id: 'a2', type: 'leche', time: new Date(tNow-1*3600*1000).toISOString(), amount: '120' },
-      { id: 'b1', type: 'simeticona', time: new Date(tNow-7*3600*1000).toISOString() },
-      { id: 'c1', type: 'panal', time: new Date(tNow-30*60*1000).toISOString() },
-    ];
-    const lb = computeLastByType(mock);
-    expect('lastByType leche = a2', lb.leche?.id === 'a2');
-    expect('lastByType simeticona = b1', lb.simeticona?.id === 'b1');
-    expect('lastByType panal = c1', lb.panal?.id === 'c1');
+  // Las medidas de crecimiento del archivo siempre se combinan (por id), también en modo reemplazar
+  function applyImport({ valid, measurements: measured, newTypes, mode }){
+    if (mode === 'replace' && !confirm(tr("¿Reemplazar todo el historial de {name} con el archivo?", { name: profileName }))) return;
+    const snap = takeSnapshot(tr("Antes de importar {file}", { file: importing.fileName }));
+    if (newTypes.length) setSettings((s)=> ({...s, types: [...s.types, ...newTypes]}));
+    // Filas de otro perfil van a ese perfil (se crea si no existe); sin perfil, al actual
+    const byName = (name) => profiles.find(p => normalizeLabel(p.name) === normalizeLabel(name));
+    const own = { entries: [], measurements: [] };
+    const foreign = {};
+    const route = (profile, list, item) => {
+      const target = profile ? byName(profile) : null;
+      if (!profile || target?.id === profileId) own[list].push(item);
+      else (foreign[target?.id ?? profile] ??= { entries: [], measurements: [] })[list].push(item);
+    };
+    for (const { entry, profile } of valid) route(profile, 'entries', entry);
+    for (const { measurement, profile } of measured) route(profile, 'measurements', measurement);
+    const touched = [...profiles];
+    for (const [idOrName, lists] of Object.entries(foreign)){
+      let id = idOrName;
+      if (!profiles.some(p => p.id === idOrName)){
+        id = onAddProfile(idOrName);
+        touched.push({ id, name: idOrName });
+      }
+      writeProfileEntries(id, lists.entries);
+      writeProfileMeasurements(id, lists.measurements);
+    }
+    if (showAll) loadOthers(touched);
+    const existing = new Set(entries.map(x=>x.id));
+    setEntries(mode === 'replace' ? sortByTimeDesc(own.entries) : sortByTimeDesc([...entries, ...own.entries.filter(r=>!existing.has(r.id))]));
+    if (own.measurements.length){
+      setMeasurements((list)=> {
+        const ids = new Set(list.map(x=>x.id));
+        return sortByTimeDesc([...list, ...own.measurements.filter(m=>!ids.has(m.id))]);
+      });
+    }
+    setLastAction({ label: tr("Importados {n} registros", { n: valid.length + measured.length }), undo: { kind: 'snapshot', data: snap.backup.data } });
+    setImporting(null);
+  }
 
-    const nd = computeNextDue(lb, { intervals: { leche: 3, simeticona: 6, panal: 3 } });
-    expect('nextDue leche is ISO', typeof nd.leche === 'string' && !Number.isNaN(Date.parse(nd.leche)));
-    expect('nextDue simeticona is ISO', typeof nd.simeticona === 'string' && !Number.isNaN(Date.parse(nd.simeticona)));
-    expect('nextDue panal is ISO', typeof nd.panal === 'string' && !Number.isNaN(Date.parse(nd.panal)));
+  function saveMeasurement(draft){
+    const error = validateMeasurement(draft);
+    if (error){ alert(error); return false; }
+    const m = normalizeMeasurement(draft);
+    setMeasurements((list)=> sortByTimeDesc([...list.filter(x=>x.id!==m.id), m]));
+    return true;
+  }
 
-    const future = new Date(Date.now()+90*1000).toISOString();
-    expect('diffToCountdown shows 00:01:', diffToCountdown(future).startsWith('00:01'));
+  function removeMeasurement(id){
+    if (confirm(tr("¿Eliminar esta medida?"))) setMeasurements((list)=> list.filter(x=>x.id!==id));
+  }
+
+  function acceptJoinLink(accept){
+    if (accept) setSync({ server: joinLink.server, room: joinLink.room });
+    history.replaceState(null, "", location.pathname + location.search);
+    setJoinLink(null);
+  }
 
-    setTestResults(results);
-    console.table(results.map(r=>({ test: r.name, pass: r.pass })));
-  }, []);
+  // Intercambio manual: combina un archivo exportado desde otro teléfono
+  function mergeExchange(data){
+    const snap = takeSnapshot(tr("Antes de combinar el archivo de {name}", { name: data.profile || tr("otro teléfono") }));
+    setRecords((r)=> mergeEntries(r, data.entries));
+    setLastAction({ label: tr("Combinados {n} registros", { n: data.entries.length }), undo: { kind: 'snapshot', data: snap.backup.data } });
+  }
 
   // -------------------- UI --------------------
   return (
-    <div className="min-h-screen bg-zinc-100 text-zinc-900 dark:bg-zinc-950 dark:text-zinc-50">
-      <header className="sticky top-0 z-10 backdrop-blur bg-zinc-50/80 dark:bg-zinc-900/80 border-b border-zinc-200 dark:border-zinc-800">
-        <div className="max-w-3xl mx-auto px-4 py-3 flex items-center gap-3">
-          <span className="text-2xl">🍼</span>
-          <div className="flex-1">
-            <h1 className="font-semibold text-lg leading-tight">ÑandeBaby Timer</h1>
-            <p className="text-xs text-zinc-500 dark:text-zinc-400">Registro rápido: Leche, Simeticona, Vitamina y Pañal</p>
+    <div className={`min-h-screen print:min-h-0 print:bg-white print:text-black ${night ? "bg-black text-red-300" : "bg-zinc-100 text-zinc-900 dark:bg-zinc-950 dark:text-zinc-50"}`}>
+      {night ? (
+        <NightView
+          name={profileName}
+          types={visibleTypes}
+          lastByType={lastByType}
+          nextDue={nextDue}
+          quickAmount={quickAmount}
+          volumeUnit={volumeUnit}
+          nursing={nursing}
+          nextSide={nextSide}
+          pin={nightPin}
+          onLog={(key, amount)=> addEntry(key, amount, '')}
+          onToggleSleep={toggleSleep}
+          onNursing={nursingAction}
+          onExit={()=> setNight(false)}
+        />
+      ) : (<>
+        <header className="sticky top-0 z-10 backdrop-blur bg-zinc-50/80 dark:bg-zinc-900/80 border-b border-zinc-200 dark:border-zinc-800 print:hidden">
+          <div className="max-w-3xl mx-auto px-4 py-3 flex items-center gap-3">
+            <span className="text-2xl">🍼</span>
+            <div className="flex-1">
+              <h1 className="font-semibold text-lg leading-tight">ÑandeBaby Timer</h1>
+              <p className="text-xs text-zinc-500 dark:text-zinc-400">{tr("Registro rápido: {types}", { types: visibleTypes.map(t => t.label).join(", ") })}</p>
+            </div>
+            <select
+              aria-label={tr("Bebé")}
+              value={profileId}
+              onChange={(e)=> e.target.value === '__new' ? createProfile() : onSwitchProfile(e.target.value)}
+              className="max-w-[8rem] px-2 py-2 text-sm rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white/60 dark:bg-zinc-800/60">
+              {profiles.map(p => <option key={p.id} value={p.id}>👶 {p.name}</option>)}
+              <option value="__new">{tr("➕ Nuevo bebé…")}</option>
+            </select>
+            <button
+              onClick={()=> setDark(d=>!d)}
+              className="px-3 py-2 text-sm rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white/60 dark:bg-zinc-800/60">
+              {tr(dark ? "☀️ Claro" : "🌙 Oscuro")}
+            </button>
+            <button
+              onClick={()=> setNight(true)}
+              className="px-3 py-2 text-sm rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white/60 dark:bg-zinc-800/60">
+              {tr("🌘 Modo noche")}
+            </button>
           </div>
-          <button
-            onClick={()=> setDark(d=>!d)}
-            className="px-3 py-2 text-sm rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white/60 dark:bg-zinc-800/60">
-            {dark ? "☀️ Claro" : "🌙 Oscuro"}
-          </button>
-        </div>
-      </header>
-
-      <main className="max-w-3xl mx-auto p-4 space-y-6">
-        {/* Quick actions */}
-        <section className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
-          {/* Leche */}
-          <Card label="Leche" emoji="🍼" last={lastByType.leche?.time} due={nextDue.leche}>
-            <div className="flex flex-col gap-2">
-              <input
-                aria-label="Cantidad de leche"
-                value={quickAmount.leche}
-                onChange={(e)=> setQuickAmount(q=> ({...q, leche: e.target.value}))}
-                inputMode="decimal"
-                className="w-full px-3 py-3 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900"
-                placeholder={`Cantidad (${settings.units.leche})`}
-              />
-              <button onClick={()=> addEntry('leche', quickAmount.leche, '')} className="w-full px-4 py-3 rounded-xl bg-blue-600 text-white active:scale-[.98]">Registrar</button>
-              <div className="grid grid-cols-4 gap-2 text-xs">
-                {['60','90','120','150'].map(preset => (
-                  <button key={preset} onClick={()=> setQuickAmount(q=>({...q, leche: preset}))} className="px-2 py-2 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white/70 dark:bg-zinc-900">
-                    {preset} {settings.units.leche}
-                  </button>
+          <nav className="max-w-3xl mx-auto px-4 pb-2 flex gap-2 text-sm">
+            {[['home', "🏠 Inicio"], ['stats', "📊 Estadísticas"], ['growth', "📏 Crecimiento"], ['report', "🧾 Informe"]].map(([key, label])=> (
+              <button key={key} onClick={()=> setView(key)}
+                className={`px-3 py-1 rounded-lg ${view === key ? "bg-zinc-900 text-white dark:bg-zinc-100 dark:text-zinc-900" : "text-zinc-600 dark:text-zinc-400"}`}>
+                {tr(label)}
+              </button>
+            ))}
+          </nav>
+        </header>
+
+        <main className="max-w-3xl mx-auto p-4 space-y-6">
+          {storageWarnings.length > 0 && (
+            <div role="alert" className="rounded-2xl p-3 text-sm space-y-1 border border-amber-400 bg-amber-50 text-amber-900 dark:bg-amber-950 dark:text-amber-200">
+              {warnedKeys('corrupt') && <p>{tr('No se pudieron leer algunos datos guardados ({keys}). Se guardó una copia con el sufijo "{suffix}"; puede recuperar una instantánea en Horarios y preferencias → Copias de seguridad.', { keys: warnedKeys('corrupt'), suffix: CORRUPT_SUFFIX })}</p>}
+              {warnedKeys('migration') && <p>{tr("No se pudieron pasar los datos guardados al formato de esta versión; algunos podrían no verse. Descargue una copia completa en Horarios y preferencias → Copias de seguridad antes de seguir registrando.")}</p>}
+              {warnedKeys('write') && <p>{tr("No se pudieron guardar los últimos cambios ({keys}): el almacenamiento del navegador está lleno. Descargue una copia completa en Horarios y preferencias → Copias de seguridad y elimine perfiles o registros que no necesite.", { keys: warnedKeys('write') })}</p>}
+            </div>
+          )}
+          {joinLink && (
+            <div className="rounded-2xl p-3 text-sm border border-blue-400 bg-blue-50 text-blue-900 dark:bg-blue-950 dark:text-blue-200 flex flex-wrap items-center gap-2">
+              <span className="flex-1">{tr("¿Sincronizar el historial de {name} con el código {code}?", { name: profileName, code: joinLink.room })}</span>
+              <button onClick={()=> acceptJoinLink(true)} className="px-3 py-1 rounded-lg bg-blue-600 text-white">{tr("Vincular")}</button>
+              <button onClick={()=> acceptJoinLink(false)} className="px-3 py-1 rounded-lg border border-blue-400">{tr("Ignorar")}</button>
+            </div>
+          )}
+          {view === 'home' && (<>
+            {/* Quick actions */}
+            <section className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              {visibleTypes.map((t)=> t.kind === 'sleep' ? (
+                <SleepCard key={t.key} type={t} last={lastByType[t.key]} due={nextDue[t.key]} prediction={predictions[t.key]}
+                  totals={sleepTotals(entries, [t.key], startOfDay(), Date.now())}
+                  onToggle={()=> toggleSleep(t.key)} />
+              ) : (
+                <Card key={t.key} label={t.label} emoji={t.emoji} last={lastByType[t.key]?.time} due={nextDue[t.key]} prediction={predictions[t.key]}
+                  {...(t.kind === 'med' ? { lastLabel: tr("Última dosis"), dueLabel: tr("Próxima dosis en:"), idle: medIdle(t) } : {})}>
+                  <div className="flex flex-col gap-2">
+                    {t.kind === 'med' && <MedSummary type={t} taken={dosesIn24h(entries, t.key, Date.now())} />}
+                    {t.quantity && (
+                      // Se muestra en la unidad preferida y se guarda en la del tipo al salir del campo (solo si cambió)
+                      <input
+                        key={`${quickAmount[t.key]}:${volumeUnit}`}
+                        aria-label={tr("Cantidad de {label}", { label: t.label })}
+                        defaultValue={toDisplay(quickAmount[t.key], t.unit, volumeUnit)}
+                        onBlur={(e)=> { if (e.target.value !== e.target.defaultValue) setQuickAmount(q=> ({...q, [t.key]: fromDisplay(e.target.value, t.unit, volumeUnit)})); }}
+                        inputMode="decimal"
+                        className="w-full px-3 py-3 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900"
+                        placeholder={t.unit ? tr("Cantidad ({unit})", { unit: displayUnit(t.unit, volumeUnit) }) : tr("Cantidad")}
+                      />
+                    )}
+                    <button onClick={()=> addEntry(t.key, t.quantity ? quickAmount[t.key] : '', '')} style={{ backgroundColor: t.color }} className="w-full px-4 py-3 rounded-xl text-white active:scale-[.98]">
+                      {t.quantity ? tr("Registrar") : tr("Registrar {label}", { label: t.label })}
+                    </button>
+                    {t.quantity && t.presets.length > 0 && (
+                      <div className="grid grid-cols-4 gap-2 text-xs">
+                        {t.presets.map(preset => {
+                          const shown = toDisplay(preset, t.unit, volumeUnit, { preset: true });
+                          return (
+                            <button key={preset} onClick={()=> setQuickAmount(q=>({...q, [t.key]: fromDisplay(shown, t.unit, volumeUnit)}))} className="px-2 py-2 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white/70 dark:bg-zinc-900">
+                              {shown} {displayUnit(t.unit, volumeUnit)}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    )}
+                    {t.kind === 'feed' && (!nursing || (nursing.type ?? 'leche') === t.key) && (
+                      <NursingPanel session={nursing} suggested={nextSide} onAction={(action, side)=> nursingAction(action, side, t.key)} />
+                    )}
+                  </div>
+                </Card>
+              ))}
+            </section>
+
+            {/* Settings */}
+            <section className="rounded-2xl p-4 border border-zinc-200 dark:border-zinc-800 bg-white dark:bg-zinc-900 shadow-sm">
+              <h2 className="font-semibold mb-3">{tr("Horarios y preferencias")}</h2>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                {visibleTypes.map((t)=> t.kind === 'med' && t.schedule === 'times' ? (
+                  <label key={t.key} className="flex flex-col gap-1 text-sm">
+                    <span className="text-zinc-600 dark:text-zinc-400">{tr("Horarios de {label}", { label: t.label })}</span>
+                    <TimesInput type={t} onUpdate={updateType}
+                      className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900" />
+                  </label>
+                ) : (
+                  <label key={t.key} className="flex flex-col gap-1 text-sm">
+                    <span className="text-zinc-600 dark:text-zinc-400">{tr(t.kind === 'sleep' ? "{label}: tiempo despierto (horas)" : "Intervalo de {label} (horas)", { label: t.label })}</span>
+                    <input
+                      value={t.interval}
+                      onChange={(e)=> updateType(t.key, { interval: Number(e.target.value||0) })}
+                      type="number" min={0} step={0.5}
+                      className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900"
+                    />
+                  </label>
                 ))}
+                <label className="flex flex-col gap-1 text-sm">
+                  <span className="text-zinc-600 dark:text-zinc-400">{tr("Nombre de la bebé")}</span>
+                  <input
+                    value={settings.babyName}
+                    onChange={(e)=> { setSettings((s)=> ({...s, babyName: e.target.value})); onRenameProfile(profileId, e.target.value); }}
+                    className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900"
+                  />
+                </label>
+                <BirthFields settings={settings} onChange={(patch)=> setSettings((s)=> ({ ...s, ...patch }))}
+                  className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900" />
+                <label className="flex flex-col gap-1 text-sm">
+                  <span className="text-zinc-600 dark:text-zinc-400">{tr("Idioma")}</span>
+                  <select value={locale} onChange={(e)=> onLocale(e.target.value)}
+                    className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900">
+                    {Object.entries(LOCALES).map(([code, l])=> <option key={code} value={code}>{l.name}</option>)}
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1 text-sm">
+                  <span className="text-zinc-600 dark:text-zinc-400">{tr("Unidad de volumen")}</span>
+                  <select value={volumeUnit} onChange={(e)=> setSettings((s)=> ({ ...s, volumeUnit: e.target.value }))}
+                    className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900">
+                    {Object.keys(VOLUME_UNITS).map(u => <option key={u} value={u}>{u}</option>)}
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1 text-sm">
+                  <span className="text-zinc-600 dark:text-zinc-400">{tr("PIN para salir del modo noche (opcional)")}</span>
+                  <input type="password" inputMode="numeric" autoComplete="off"
+                    value={nightPin} onChange={(e)=> setNightPin(e.target.value.trim())}
+                    className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900" />
+                </label>
               </div>
-            </div>
-          </Card>
-
-          {/* Simeticona */}
-          <Card label="Simeticona" emoji="💧" last={lastByType.simeticona?.time} due={nextDue.simeticona}>
-            <button onClick={()=> addEntry('simeticona', '', '')} className="w-full px-4 py-3 rounded-xl bg-indigo-600 text-white active:scale-[.98]">Registrar Simeticona</button>
-          </Card>
-
-          {/* Vitamina */}
-          <Card label="Vitamina" emoji="✨" last={lastByType.vitamina?.time} due={nextDue.vitamina}>
-            <button onClick={()=> addEntry('vitamina', '', '')} className="w-full px-4 py-3 rounded-xl bg-emerald-600 text-white active:scale-[.98]">Registrar Vitamina</button>
-          </Card>
-
-          {/* Pañal */}
-          <Card label="Pañal" emoji="🚼" last={lastByType.panal?.time} due={nextDue.panal}>
-            <button onClick={()=> addEntry('panal', '', 'Cambio de pañal')} className="w-full px-4 py-3 rounded-xl bg-amber-600 text-white active:scale-[.98]">Registrar cambio</button>
-          </Card>
-        </section>
 
-        {/* Settings */}
-        <section className="rounded-2xl p-4 border border-zinc-200 dark:border-zinc-800 bg-white dark:bg-zinc-900 shadow-sm">
-          <h2 className="font-semibold mb-3">Horarios y preferencias</h2>
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
-            {TYPES.map((t)=> (
-              <label key={t.key} className="flex flex-col gap-1 text-sm">
-                <span className="text-zinc-600 dark:text-zinc-400">Intervalo de {t.label} (horas)</span>
-                <input
-                  value={settings.intervals[t.key]}
-                  onChange={(e)=> setSettings((s)=> ({...s, intervals: {...s.intervals, [t.key]: Number(e.target.value||0)}}))}
-                  type="number" min={0} step={1}
-                  className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900"
-                />
-              </label>
-            ))}
-            <label className="flex flex-col gap-1 text-sm">
-              <span className="text-zinc-600 dark:text-zinc-400">Unidad de Leche</span>
-              <input
-                value={settings.units.leche}
-                onChange={(e)=> setSettings((s)=> ({...s, units: { leche: e.target.value }}))}
-                className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900"
-              />
-            </label>
-            <label className="flex flex-col gap-1 text-sm">
-              <span className="text-zinc-600 dark:text-zinc-400">Nombre de la bebé</span>
-              <input
-                value={settings.babyName}
-                onChange={(e)=> setSettings((s)=> ({...s, babyName: e.target.value}))}
-                className="px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900"
-              />
-            </label>
-          </div>
+              <div className="mt-4 flex flex-wrap gap-2 items-center">
+                <button onClick={()=> setNotifEnabled(v=>!v)} className="px-4 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">
+                  {tr(notifEnabled ? "🔔 Notificaciones activas" : "🔕 Activar notificaciones")}
+                </button>
+                {notifEnabled && (
+                  <p className="w-full text-xs text-zinc-500 dark:text-zinc-400">
+                    {tr("Los avisos llegan a horario con la app abierta o en segundo plano. Con la app cerrada el navegador puede demorarlos hasta que se vuelva a abrir.")}
+                  </p>
+                )}
+                <button onClick={handleExport} className="px-4 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">{tr("⬇️ Exportar CSV")}</button>
+                <button onClick={()=> fileInputRef.current?.click()} className="px-4 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">{tr("⬆️ Importar CSV")}</button>
+                <input ref={fileInputRef} type="file" accept=".csv,.txt,text/csv" className="hidden" onChange={handleImport} />
+                <button onClick={clearAll} className="ml-auto px-4 py-2 rounded-xl bg-red-600 text-white">{tr("Borrar historial")}</button>
+                {profiles.length > 1 && (
+                  <button onClick={()=> onDeleteProfile(profileId)} className="px-4 py-2 rounded-xl border border-red-600 text-red-600">{tr("Eliminar perfil")}</button>
+                )}
+              </div>
 
-          <div className="mt-4 flex flex-wrap gap-2 items-center">
-            <button onClick={()=> setNotifEnabled(v=>!v)} className="px-4 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">
-              {notifEnabled ? "🔔 Notificaciones activas" : "🔕 Activar notificaciones"}
-            </button>
-            <button onClick={handleExport} className="px-4 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">⬇️ Exportar CSV</button>
-            <button onClick={()=> fileInputRef.current?.click()} className="px-4 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">⬆️ Importar CSV</button>
-            <input ref={fileInputRef} type="file" accept=".csv" className="hidden" onChange={handleImport} />
-            <button onClick={clearAll} className="ml-auto px-4 py-2 rounded-xl bg-red-600 text-white">Borrar historial</button>
-          </div>
-        </section>
+              <TypeSettings types={types} onUpdate={updateType} onMove={moveType} onAdd={addType} onDelete={deleteType} />
+              <SyncSettings sync={sync} status={syncStatus} records={records} profileName={profileName}
+                onLink={setSync} onSyncNow={syncNow} onMerge={mergeExchange} />
+              <BackupSettings />
+            </section>
 
-        {/* Timeline */}
-        <section className="rounded-2xl p-0 border border-zinc-200 dark:border-zinc-800 bg-white dark:bg-zinc-900 overflow-hidden shadow-sm">
-          <div className="px-4 py-3 flex items-center justify-between">
-            <h2 className="font-semibold">Historial</h2>
-            <span className="text-xs text-zinc-500 dark:text-zinc-400">{entries.length} registros</span>
-          </div>
-          <ul className="divide-y divide-zinc-200 dark:divide-zinc-800">
-            {entries.length === 0 && (
-              <li className="p-6 text-center text-sm text-zinc-500 dark:text-zinc-400">Sin registros todavía. Usa los botones de arriba.</li>
-            )}
-            {entries.map((e)=>{
-              const tmeta = TYPES.find(x=>x.key===e.type);
-              return (
-                <li key={e.id} className="px-4 py-3 flex items-center gap-3">
-                  <div className="text-xl" aria-hidden>{tmeta?.emoji}</div>
-                  <div className="flex-1 min-w-0">
-                    <div className="text-sm font-medium truncate">{tmeta?.label} — {fmtTime(e.time)}</div>
-                    <div className="text-xs text-zinc-500 dark:text-zinc-400 truncate">
-                      {e.type==='leche' && e.amount ? `${e.amount} ${settings.units.leche}` : (e.type==='leche' ? 'Sin cantidad' : '')}
-                      {e.notes ? ` • ${e.notes}` : ""}
+            {/* Timeline */}
+            <section className="rounded-2xl p-0 border border-zinc-200 dark:border-zinc-800 bg-white dark:bg-zinc-900 overflow-hidden shadow-sm">
+              <div className="px-4 py-3 flex items-center justify-between gap-2">
+                <h2 className="font-semibold">{tr("Historial")}</h2>
+                <span className="ml-auto text-xs text-zinc-500 dark:text-zinc-400">{filtering ? tr("{shown} de {total} registros", { shown: filtered.length, total: timeline.length }) : tr("{n} registros", { n: timeline.length })}</span>
+                {profiles.length > 1 && (
+                  <label className="flex items-center gap-1 text-xs">
+                    <input type="checkbox" checked={showAll} onChange={(e)=> { setShowAll(e.target.checked); if (e.target.checked) loadOthers(); }} /> {tr("Todos los bebés")}
+                  </label>
+                )}
+                <button
+                  onClick={()=> setEditing({ id: crypto.randomUUID(), type: visibleTypes[0]?.key ?? types[0]?.key, time: nowISO(), amount: quickAmount[visibleTypes[0]?.key] ?? '', notes: '' })}
+                  disabled={!types.length}
+                  className="text-sm px-3 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 disabled:opacity-50">
+                  {tr("➕ Registro manual")}
+                </button>
+              </div>
+              <div className="px-4 pb-3 flex flex-wrap items-center gap-2 text-xs">
+                <input type="search" value={filters.query} onChange={(e)=> updateFilters({ query: e.target.value })} placeholder={tr("Buscar en notas…")} aria-label={tr("Buscar en notas")}
+                  className="flex-1 min-w-[10rem] px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900" />
+                <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e)=> updateFilters({ from: e.target.value })} aria-label={tr("Desde")}
+                  className="px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900" />
+                <span>→</span>
+                <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e)=> updateFilters({ to: e.target.value })} aria-label={tr("Hasta")}
+                  className="px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900" />
+                <div className="w-full flex flex-wrap gap-1">
+                  {types.map(t => {
+                    const on = filters.types.includes(t.key);
+                    return (
+                      <button key={t.key} aria-pressed={on}
+                        onClick={()=> updateFilters({ types: on ? filters.types.filter(k => k !== t.key) : [...filters.types, t.key] })}
+                        className={`px-2 py-1 rounded-full border ${on ? "border-transparent text-white" : "border-zinc-300 dark:border-zinc-700"}`}
+                        style={on ? { backgroundColor: t.color } : undefined}>
+                        {t.emoji} {t.label}
+                      </button>
+                    );
+                  })}
+                  {filtering && <button onClick={()=> { setFilters(EMPTY_FILTERS); setLimit(TIMELINE_PAGE); }} className="ml-auto px-2 py-1 underline">{tr("Quitar filtros")}</button>}
+                </div>
+              </div>
+              {timeline.length === 0 && (
+                <p className="p-6 text-center text-sm text-zinc-500 dark:text-zinc-400">{tr("Sin registros todavía. Usa los botones de arriba.")}</p>
+              )}
+              {timeline.length > 0 && filtered.length === 0 && (
+                <p className="p-6 text-center text-sm text-zinc-500 dark:text-zinc-400">{tr("Ningún registro coincide con los filtros.")}</p>
+              )}
+              {dayGroups.map(g => (
+                <div key={g.key}>
+                  <div className="px-4 py-2 bg-zinc-50 dark:bg-zinc-950 border-y border-zinc-200 dark:border-zinc-800">
+                    <div className="text-sm font-medium first-letter:uppercase">{dayLabel(g.key)}</div>
+                    <div className="text-xs text-zinc-500 dark:text-zinc-400 flex flex-wrap gap-x-3">
+                      {Object.entries(g.totals).map(([key, tot]) => {
+                        const t = typeMeta(types, key);
+                        return (
+                          <span key={key}>
+                            {t.emoji} {tot.count}{Object.entries(tot.amounts).filter(([unit]) => unit).map(([unit, amount]) => ` · ${fmtAmount(amount, unit, volumeUnit)}`).join("")}{tot.secs ? ` · ${fmtHours(tot.secs)}` : ""}
+                          </span>
+                        );
+                      })}
                     </div>
                   </div>
-                  <button onClick={()=> removeEntry(e.id)} className="text-sm px-3 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">Eliminar</button>
-                </li>
-              );
-            })}
-          </ul>
-        </section>
+                  <ul className="divide-y divide-zinc-200 dark:divide-zinc-800">
+                    {g.entries.map((e)=>{
+                      const tmeta = typeMeta(e.types ?? types, e.type);
+                      const gap = gaps.get(timelineKey(e));
+                      return (
+                        <li key={timelineKey(e)} className="px-4 py-3 flex items-center gap-3">
+                          <div className="text-xl" aria-hidden>{tmeta?.emoji}</div>
+                          <div className="flex-1 min-w-0">
+                            <div className="text-sm font-medium truncate">
+                              {showAll && <span className="mr-1 px-1.5 py-0.5 rounded bg-zinc-200 dark:bg-zinc-800 text-xs">{e.profile}</span>}
+                              {tmeta?.label} — {fmtClock(e.time)}
+                              {gap !== undefined && <span className="ml-2 text-xs font-normal text-zinc-500 dark:text-zinc-400">{tr("{duration} desde la anterior", { duration: fmtHours(gap) })}</span>}
+                            </div>
+                            <div className="text-xs text-zinc-500 dark:text-zinc-400 truncate">
+                              {tmeta.kind === 'sleep' ? describeSleep(e) : e.side ? describeNursing(e) : e.amount ? fmtAmount(e.amount, e.unit ?? tmeta.unit, volumeUnit) : (tmeta.quantity ? tr("Sin cantidad") : '')}
+                              {e.notes ? ` • ${e.notes}` : ""}
+                            </div>
+                          </div>
+                          {!e.readOnly && (<>
+                            <button onClick={()=> setEditing(entries.find(x=>x.id===e.id))} className="text-sm px-3 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">{tr("Editar")}</button>
+                            <button onClick={()=> removeEntry(e.id)} className="text-sm px-3 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">{tr("Eliminar")}</button>
+                          </>)}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))}
+              {filtered.length > limit && (
+                <button onClick={()=> setLimit(l => l + TIMELINE_PAGE)} className="w-full px-4 py-3 text-sm border-t border-zinc-200 dark:border-zinc-800">
+                  {tr("Mostrar más ({n} restantes)", { n: filtered.length - limit })}
+                </button>
+              )}
+            </section>
 
-        {/* Diagnostics */}
-        <section className="rounded-2xl p-4 border border-dashed border-zinc-300 dark:border-zinc-700 bg-zinc-50/60 dark:bg-zinc-900/40">
-          <h3 className="font-medium text-sm mb-2">Pruebas internas</h3>
-          <ul className="text-xs space-y-1">
-            {testResults.map((r, i)=> (
-              <li key={i} className={r.pass?"text-green-600":"text-red-500"}>
-                {r.pass ? "✔" : "✖"} {r.name}
-              </li>
-            ))}
-          </ul>
-          <p className="text-[10px] text-zinc-500 dark:text-zinc-400 mt-2">Las pruebas se ejecutan al cargar. Revisa la consola para más detalle.</p>
-        </section>
-      </main>
+          </>)}
+
+          {view === 'stats' && <StatsView entries={entries} types={visibleTypes} volumeUnit={volumeUnit} />}
+          {view === 'report' && <ReportView entries={entries} types={types} visibleTypes={visibleTypes} settings={settings} measurements={measurements} profileName={profileName} />}
+          {view === 'growth' && (
+            <GrowthView measurements={measurements} settings={settings}
+              onSave={saveMeasurement} onRemove={removeMeasurement} onSettings={(patch)=> setSettings((s)=> ({ ...s, ...patch }))} />
+          )}
+        </main>
+      </>)}
 
+      {editing && (
+        <EntryEditor
+          entry={editing}
+          isNew={!entries.some(x=>x.id===editing.id)}
+          types={types}
+          volumeUnit={volumeUnit}
+          onSave={(draft)=> { if (saveEntry(draft)) setEditing(null); }}
+          onCancel={()=> setEditing(null)}
+        />
+      )}
+
+      {importing && (
+        <ImportDialog
+          file={importing}
+          types={types}
+          entries={entries}
+          profiles={profiles}
+          profileId={profileId}
+          onConfirm={applyImport}
+          onCancel={()=> setImporting(null)}
+        />
+      )}
+
+      {lastAction && (
+        <div className="fixed bottom-4 inset-x-0 z-20 flex justify-center px-4 print:hidden">
+          <div className={`flex items-center gap-3 px-4 py-3 rounded-2xl shadow-lg text-sm ${night ? "bg-red-950 text-red-200 border border-red-900" : "bg-zinc-900 text-zinc-50 dark:bg-zinc-100 dark:text-zinc-900"}`}>
+            <span>{lastAction.label}</span>
+            <button onClick={undoLast} className="font-semibold underline">{tr("Deshacer")}</button>
+            <button onClick={()=> setLastAction(null)} aria-label={tr("Cerrar")} className="opacity-70">✕</button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
 // -------------------- Reusable Card --------------------
-function Card({ label, emoji, last, due, children }){
+// prediction (tipos adaptativos): { due, low, high } → hora prevista y rango debajo de la cuenta regresiva
+function Card({ label, emoji, last, due, prediction, lastLabel = tr("Última vez"), dueLabel = tr("Próximo en:"), idle = tr("Configure intervalo"), children }){
   return (
     <div className="rounded-2xl p-4 border border-zinc-200 dark:border-zinc-800 bg-white dark:bg-zinc-900 shadow-sm">
       <div className="flex items-center justify-between">
@@ -391,17 +849,1126 @@ function Card({ label, emoji, last, due, children }){
       </div>
       <div className="mt-2 text-xs text-zinc-600 dark:text-zinc-400">
         {last ? (<>
-          Última vez: <span className="font-medium text-zinc-700 dark:text-zinc-200">{fmtTime(last)}</span>
-        </>) : "Sin registros aún"}
+          {lastLabel}: <span className="font-medium text-zinc-700 dark:text-zinc-200">{fmtTime(last)}</span>
+        </>) : tr("Sin registros aún")}
       </div>
       <div className="mt-1 text-xs">
         {due ? (
-          <div className="flex items-center gap-1"><span className="text-zinc-500 dark:text-zinc-400">Próximo en:</span>
+          <div className="flex items-center gap-1"><span className="text-zinc-500 dark:text-zinc-400">{dueLabel}</span>
             <span className="font-mono text-sm">{diffToCountdown(due)}</span>
           </div>
-        ) : <span className="text-zinc-500 dark:text-zinc-400">Configure intervalo</span>}
+        ) : <span className="text-zinc-500 dark:text-zinc-400">{idle}</span>}
+        {due && prediction && (
+          <div className="mt-0.5 text-zinc-500 dark:text-zinc-400" title={tr("Según {n} intervalos recientes", { n: prediction.samples })}>
+            {tr("Previsto {time}", { time: fmtClock(prediction.due) })} <span className="whitespace-nowrap">({fmtClock(prediction.low)}–{fmtClock(prediction.high)})</span>
+          </div>
+        )}
       </div>
       <div className="mt-4">{children}</div>
     </div>
   );
-}
\ No newline at end of file
+}
+
+// -------------------- Statistics --------------------
+function StatsView({ entries, types, volumeUnit }){
+  const [range, setRange] = useState(()=> ({ from: dateKey(addDays(new Date(), -6)), to: dateKey(new Date()) }));
+  const [unit, setUnit] = useState('day');
+  const from = fromDateKey(range.from), to = fromDateKey(range.to);
+  const buckets = useMemo(()=> aggregateStats(entries, types, fromDateKey(range.from), fromDateKey(range.to), unit), [entries, types, range, unit]);
+  const preset = (days) => setRange({ from: dateKey(addDays(new Date(), -(days-1))), to: dateKey(new Date()) });
+  // Las etiquetas se traducen al mostrar, así el cálculo no depende del idioma
+  const label = (b) => unit === 'week' ? tr("Sem {date}", { date: b.label }) : b.label;
+  const series = (key, pick) => buckets.map(b => ({ label: label(b), value: pick(b.byType[key]) }));
+
+  const field = "px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900";
+  const box = "rounded-2xl p-4 border border-zinc-200 dark:border-zinc-800 bg-white dark:bg-zinc-900 shadow-sm text-left";
+  return (
+    <div className="space-y-4">
+      <section className={`${box} flex flex-wrap items-center gap-2 text-sm`}>
+        {[7, 14, 30].map(d => (
+          <button key={d} onClick={()=> preset(d)} className="px-3 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">{tr("{n} días", { n: d })}</button>
+        ))}
+        <input type="date" value={range.from} max={range.to} onChange={(e)=> e.target.value && setRange(r=> ({...r, from: e.target.value}))} className={field} aria-label={tr("Desde")} />
+        <span>→</span>
+        <input type="date" value={range.to} min={range.from} onChange={(e)=> e.target.value && setRange(r=> ({...r, to: e.target.value}))} className={field} aria-label={tr("Hasta")} />
+        <select value={unit} onChange={(e)=> setUnit(e.target.value)} className={`${field} ml-auto`}>
+          <option value="day">{tr("Por día")}</option>
+          <option value="week">{tr("Por semana")}</option>
+        </select>
+      </section>
+
+      {types.filter(t => t.kind === 'feed').map(t => {
+        const avg = averageInterval(buckets, t.key);
+        return (
+          <section key={t.key} className={box}>
+            <h2 className="font-semibold mb-1">{t.emoji} {t.label}</h2>
+            <p className="text-xs text-zinc-500 dark:text-zinc-400 mb-3">{tr("Intervalo promedio entre tomas: {value}", { value: avg === null ? "—" : fmtHours(Math.round(avg*3600)) })}</p>
+            <BarChart title={tr("Volumen ({unit})", { unit: displayUnit(t.unit, volumeUnit) || tr("total") })} color={t.color} data={series(t.key, x => Number(toDisplay(x.amount, t.unit, volumeUnit)) || 0)} />
+            <BarChart title={tr("Tomas")} color={t.color} data={series(t.key, x => x.count)} />
+            <BarChart title={tr("Intervalo promedio (h)")} color={t.color} data={series(t.key, x => Math.round((average(x.gaps) ?? 0)*10)/10)} />
+          </section>
+        );
+      })}
+
+      {types.filter(t => t.kind === 'sleep').map(t => (
+        <section key={t.key} className={box}>
+          <h2 className="font-semibold mb-3">{t.emoji} {t.label}</h2>
+          <BarChart title={tr("Horas de sueño")} color={t.color} data={series(t.key, x => Math.round(x.sleep/360)/10)} />
+        </section>
+      ))}
+
+      <section className={box}>
+        <h2 className="font-semibold mb-3">{tr(unit === 'week' ? "Registros por semana" : "Registros por día")}</h2>
+        {types.filter(t => t.kind === 'event' || t.kind === 'med').map(t => (
+          <BarChart key={t.key} title={`${t.emoji} ${t.label}`} color={t.color} data={series(t.key, x => x.count)} />
+        ))}
+      </section>
+
+      <section className={box}>
+        <h2 className="font-semibold mb-3">{tr("Cumplimiento de intervalos")}</h2>
+        <table className="w-full text-sm">
+          <thead className="text-xs text-zinc-500 dark:text-zinc-400">
+            <tr><th className="text-left font-normal">{tr("Tipo")}</th><th className="font-normal">{tr("Horario")}</th><th className="font-normal">{tr("Registradas / esperadas")}</th><th className="font-normal">{tr("Tarde")}</th><th className="font-normal">%</th></tr>
+          </thead>
+          <tbody>
+            {types.filter(isScheduled).map(t => {
+              const a = intervalAdherence(entries, t, from, to);
+              if (!a) return null;
+              return (
+                <tr key={t.key} className="text-center">
+                  <td className="text-left">{t.emoji} {t.label}</td>
+                  <td>{describeSchedule(t)}</td>
+                  <td>{a.given} / {a.expected}</td>
+                  <td>{a.late}</td>
+                  <td className="font-medium">{a.pct === null ? "—" : `${a.pct}%`}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </section>
+    </div>
+  );
+}
+
+// -------------------- Pediatrician report --------------------
+// Resumen imprimible de un rango de fechas; usa las mismas agregaciones que Estadísticas.
+// Al imprimir se ocultan la cabecera y los controles (variantes print: de Tailwind e index.css).
+// types: todos (para buscar el de cada registro); secciones: los visibles y los ocultos con registros en el período
+function ReportView({ entries, types, visibleTypes, settings, measurements, profileName }){
+  const [range, setRange] = useState(()=> ({ from: dateKey(addDays(new Date(), -6)), to: dateKey(new Date()) }));
+  const from = fromDateKey(range.from), to = fromDateKey(range.to);
+  const end = addDays(to, 1);
+  const days = Math.round((end - from) / (24*3600*1000));
+  const buckets = useMemo(()=> aggregateStats(entries, types, fromDateKey(range.from), fromDateKey(range.to), 'day'), [entries, types, range]);
+  const inRange = (e) => { const t = new Date(e.time); return t >= from && t < end; };
+  const total = (key, pick) => buckets.reduce((n, b) => n + pick(b.byType[key]), 0);
+  const shown = types.filter(t => visibleTypes.includes(t) || entries.some(e => e.type === t.key && inRange(e)));
+  const feeds = shown.filter(t => t.kind === 'feed');
+  const meds = shown.filter(isScheduled);
+  const counted = shown.filter(t => t.kind === 'event' && !(t.interval > 0));
+  const sleeps = shown.filter(t => t.kind === 'sleep');
+  const sleep = sleeps.length ? sleepTotals(entries, sleeps.map(t => t.key), from, end) : null;
+  const notes = entries.filter(e => e.notes && inRange(e)).sort((a, b) => new Date(a.time) - new Date(b.time));
+  const growth = measurements.filter(inRange);
+  const age = ageInMonths(settings.birthDate, to);
+  const volumeUnit = settings.volumeUnit;
+  const preset = (n) => setRange({ from: dateKey(addDays(new Date(), -(n-1))), to: dateKey(new Date()) });
+  const cell = (t, agg) => {
+    if (t.kind === 'sleep') return agg.sleep ? fmtHours(agg.sleep) : "—";
+    if (!agg.count) return "—";
+    return t.quantity && agg.amount ? `${agg.count} · ${fmtAmount(agg.amount, t.unit, volumeUnit)}` : agg.count;
+  };
+
+  const field = "px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900";
+  const box = "rounded-2xl p-4 border border-zinc-200 dark:border-zinc-800 bg-white dark:bg-zinc-900 shadow-sm text-left print:shadow-none print:border-zinc-300 print:bg-white print:rounded-none print:break-inside-avoid";
+  const muted = "text-zinc-500 dark:text-zinc-400 print:text-zinc-600";
+  return (
+    <div className="space-y-4 report">
+      <section className={`${box} flex flex-wrap items-center gap-2 text-sm print:hidden`}>
+        {[7, 14, 30].map(d => (
+          <button key={d} onClick={()=> preset(d)} className="px-3 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">{tr("{n} días", { n: d })}</button>
+        ))}
+        <input type="date" value={range.from} max={range.to} onChange={(e)=> e.target.value && setRange(r=> ({...r, from: e.target.value}))} className={field} aria-label={tr("Desde")} />
+        <span>→</span>
+        <input type="date" value={range.to} min={range.from} onChange={(e)=> e.target.value && setRange(r=> ({...r, to: e.target.value}))} className={field} aria-label={tr("Hasta")} />
+        <button onClick={()=> window.print()} className="ml-auto px-4 py-2 rounded-xl bg-blue-600 text-white">{tr("🖨️ Imprimir / PDF")}</button>
+      </section>
+
+      <section className={box}>
+        <h2 className="text-xl font-semibold">{tr("Informe de {name}", { name: profileName })}</h2>
+        <p className={`text-sm ${muted}`}>
+          {fmtDate(from)} – {fmtDate(to)} ({tr("{n} días", { n: days })})
+          {settings.birthDate && ` · ${tr("Nacimiento: {date}", { date: fmtDate(fromDateKey(settings.birthDate)) })}${age !== null ? ` (${fmtAge(age)})` : ""}`}
+        </p>
+        <p className={`text-xs ${muted}`}>{tr("Generado el {date}", { date: fmtTime(nowISO()) })}</p>
+      </section>
+
+      {feeds.map(t => {
+        const count = total(t.key, x => x.count), amount = total(t.key, x => x.amount);
+        const avg = averageInterval(buckets, t.key);
+        return (
+          <section key={t.key} className={box}>
+            <h3 className="font-semibold mb-2">{t.emoji} {t.label}</h3>
+            <dl className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+              <div><dt className={`text-xs ${muted}`}>{tr("Tomas")}</dt><dd>{tr("{n} ({perDay}/día)", { n: count, perDay: (count/days).toFixed(1) })}</dd></div>
+              {t.quantity && <div><dt className={`text-xs ${muted}`}>{tr("Volumen")}</dt><dd>{fmtAmount(amount, t.unit, volumeUnit)} ({tr("{amount}/día", { amount: fmtAmount(Math.round(amount/days), t.unit, volumeUnit) })})</dd></div>}
+              {t.quantity && <div><dt className={`text-xs ${muted}`}>{tr("Promedio por toma")}</dt><dd>{count ? fmtAmount(Math.round(amount/count), t.unit, volumeUnit) : "—"}</dd></div>}
+              <div><dt className={`text-xs ${muted}`}>{tr("Intervalo promedio")}</dt><dd>{avg === null ? "—" : fmtHours(Math.round(avg*3600))}</dd></div>
+            </dl>
+          </section>
+        );
+      })}
+
+      {meds.length > 0 && (
+        <section className={box}>
+          <h3 className="font-semibold mb-2">{tr("Medicamentos y rutinas con horario")}</h3>
+          <table className="w-full text-sm">
+            <thead className={`text-xs ${muted}`}>
+              <tr><th className="text-left font-normal">{tr("Tipo")}</th><th className="font-normal">{tr("Horario")}</th><th className="font-normal">{tr("Registradas / programadas")}</th><th className="font-normal">{tr("Tarde")}</th><th className="font-normal">%</th></tr>
+            </thead>
+            <tbody>
+              {meds.map(t => {
+                const a = intervalAdherence(entries, t, from, to);
+                if (!a) return null;
+                return (
+                  <tr key={t.key} className="text-center">
+                    <td className="text-left">{t.emoji} {t.label}</td>
+                    <td>{describeSchedule(t)}</td>
+                    <td>{a.given} / {a.expected}</td>
+                    <td>{a.late}</td>
+                    <td>{a.pct === null ? "—" : `${a.pct}%`}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {(counted.length > 0 || sleep) && (
+        <section className={box}>
+          <dl className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+            {counted.map(t => {
+              const count = total(t.key, x => x.count);
+              return <div key={t.key}><dt className={`text-xs ${muted}`}>{t.emoji} {t.label}</dt><dd>{tr("{n} ({perDay}/día)", { n: count, perDay: (count/days).toFixed(1) })}</dd></div>;
+            })}
+            {sleep && <>
+              <div><dt className={`text-xs ${muted}`}>{tr("😴 Sueño por día")}</dt><dd>{fmtHours(Math.round(sleep.total/days))}</dd></div>
+              <div><dt className={`text-xs ${muted}`}>{tr("Día / noche (total)")}</dt><dd>{fmtHours(sleep.day)} / {fmtHours(sleep.night)}</dd></div>
+              <div><dt className={`text-xs ${muted}`}>{tr("Tramo más largo")}</dt><dd>{fmtHours(sleep.longest)}</dd></div>
+            </>}
+          </dl>
+        </section>
+      )}
+
+      <section className={box}>
+        <h3 className="font-semibold mb-2">{tr("Día por día")}</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className={muted}>
+              <tr>
+                <th className="text-left font-normal pr-2">{tr("Día")}</th>
+                {shown.map(t => <th key={t.key} className="font-normal px-1">{t.emoji} {t.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {buckets.map(b => (
+                <tr key={b.key} className="text-center border-t border-zinc-200 dark:border-zinc-800 print:border-zinc-300">
+                  <td className="text-left pr-2 py-1">{fmtDate(fromDateKey(b.key))}</td>
+                  {shown.map(t => <td key={t.key} className="px-1">{cell(t, b.byType[t.key])}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {growth.length > 0 && (
+        <section className={box}>
+          <h3 className="font-semibold mb-2">{tr("Medidas")}</h3>
+          <ul className="text-sm space-y-1">
+            {growth.map(m => (
+              <li key={m.id}>
+                {fmtDate(m.time)}: {Object.entries(MEASURES).filter(([key]) => m[key] !== undefined).map(([key, meta]) =>
+                  `${tr(meta.label)} ${fromBase(m[key], growthUnit(settings, key), key)} ${growthUnit(settings, key)}${settings.sex ? ` (${fmtPercentile(growthPercentile(key, m[key], settings.sex, settings.birthDate, m.time))})` : ""}`).join(" · ")}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <section className={box}>
+        <h3 className="font-semibold mb-2">{tr("Notas")}</h3>
+        {notes.length === 0 ? <p className={`text-sm ${muted}`}>{tr("Sin notas en el período.")}</p> : (
+          <ul className="text-sm space-y-1">
+            {notes.map(e => {
+              const t = typeMeta(types, e.type);
+              return <li key={e.id}><span className={muted}>{fmtTime(e.time)}</span> · {t.emoji} {t.label}: {e.notes}</li>;
+            })}
+          </ul>
+        )}
+      </section>
+    </div>
+  );
+}
+
+// Gráfico de barras SVG simple (sin librerías); escala al ancho disponible
+function BarChart({ title, data, color }){
+  const W = 320, H = 110, top = 14, bottom = 16;
+  const max = Math.max(1, ...data.map(d => d.value));
+  const bw = W / Math.max(1, data.length);
+  const every = Math.ceil(data.length / 10); // etiquetas legibles con rangos largos
+  return (
+    <figure className="mb-3">
+      <figcaption className="text-xs text-zinc-600 dark:text-zinc-400 mb-1">{title}</figcaption>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-28" role="img" aria-label={title}>
+        {data.map((d, i) => {
+          const h = (d.value / max) * (H - top - bottom);
+          const x = i*bw + bw*0.15;
+          return (
+            <g key={i}>
+              <rect x={x} y={H - bottom - h} width={bw*0.7} height={h} rx={2} fill={color} />
+              {d.value > 0 && data.length <= 14 && (
+                <text x={x + bw*0.35} y={H - bottom - h - 3} textAnchor="middle" fontSize="8" fill="currentColor">{d.value}</text>
+              )}
+              {i % every === 0 && (
+                <text x={x + bw*0.35} y={H - 4} textAnchor="middle" fontSize="7" fill="currentColor" opacity="0.6">{d.label}</text>
+              )}
+            </g>
+          );
+        })}
+        <line x1={0} x2={W} y1={H - bottom} y2={H - bottom} stroke="currentColor" opacity="0.2" />
+      </svg>
+    </figure>
+  );
+}
+
+// -------------------- Sleep card --------------------
+function SleepCard({ type, last, due, prediction, totals, onToggle }){
+  const asleep = !!last && !last.end;
+  const since = (iso) => fmtHours(Math.max(0, Math.round((Date.now() - new Date(iso).getTime())/1000)));
+  return (
+    <Card
+      label={type.label} emoji={type.emoji}
+      last={asleep ? last.time : last?.end}
+      lastLabel={tr(asleep ? "Se durmió" : "Se despertó")}
+      due={due}
+      prediction={prediction}
+      dueLabel={tr("Próxima siesta en:")}
+      idle={asleep ? tr("😴 Durmiendo hace {duration}", { duration: since(last.time) }) : tr("Configure tiempo despierto")}
+    >
+      <div className="flex flex-col gap-2">
+        {!asleep && last?.end && <div className="text-xs text-zinc-600 dark:text-zinc-400">{tr("Despierto hace {duration}", { duration: since(last.end) })}</div>}
+        <button onClick={onToggle} style={{ backgroundColor: type.color }} className="w-full px-4 py-3 rounded-xl text-white active:scale-[.98]">
+          {tr(asleep ? "☀️ Se despertó" : "🌙 Se durmió")}
+        </button>
+        <div className="mt-2 pt-3 border-t border-zinc-200 dark:border-zinc-800 text-xs space-y-1 text-zinc-600 dark:text-zinc-400">
+          <div className="flex justify-between"><span>{tr("Hoy")}</span><span className="font-medium text-zinc-700 dark:text-zinc-200">{fmtHours(totals.total)}</span></div>
+          <div className="flex justify-between"><span>{tr("☀️ Día · 🌙 Noche")}</span><span>{fmtHours(totals.day)} · {fmtHours(totals.night)}</span></div>
+          <div className="flex justify-between"><span>{tr("Tramo más largo")}</span><span>{fmtHours(totals.longest)}</span></div>
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+// -------------------- Modo noche / cuidador --------------------
+// Pantalla reducida con botones grandes y tonos rojos apagados. Ajustes, historial y borrado quedan
+// ocultos: para salir hay que mantener presionado el botón y, si se configuró, escribir el PIN.
+function NightView({ name, types, lastByType, nextDue, quickAmount, volumeUnit, nursing, nextSide, pin, onLog, onToggleSleep, onNursing, onExit }){
+  const [amounts, setAmounts] = useState({}); // cantidad elegida con un atajo (si no, la del último registro)
+  const [summary, setSummary] = useState(null); // texto del relevo abierto
+  const [copied, setCopied] = useState(false);
+  const [holding, setHolding] = useState(false);
+  const holdTimer = useRef(null);
+  const summaryRef = useRef(null);
+  useEffect(()=> ()=> clearTimeout(holdTimer.current), []);
+  const upcoming = dueList(types, nextDue);
+  const chip = "px-3 py-3 rounded-xl border border-red-900 text-red-300";
+
+  function startHold(){
+    clearTimeout(holdTimer.current);
+    setHolding(true);
+    holdTimer.current = setTimeout(()=> {
+      setHolding(false);
+      if (pin){
+        const typed = prompt(tr("PIN para salir del modo noche"));
+        if (typed === null) return;
+        if (typed.trim() !== pin){ alert(tr("PIN incorrecto")); return; }
+      }
+      onExit();
+    }, UNLOCK_HOLD_MS);
+  }
+
+  function cancelHold(){
+    clearTimeout(holdTimer.current);
+    setHolding(false);
+  }
+
+  function openSummary(){
+    setSummary(handoffSummary({ name, types, lastByType, nextDue, volumeUnit }));
+    setCopied(false);
+  }
+
+  // Sin acceso al portapapeles queda el texto seleccionado para copiarlo a mano
+  async function copySummary(){
+    try {
+      await navigator.clipboard.writeText(summary);
+      setCopied(true);
+    } catch { summaryRef.current?.select(); }
+  }
+
+  return (
+    <main className="max-w-xl mx-auto p-4 space-y-4 print:hidden">
+      <div className="flex items-center gap-3">
+        <div className="flex-1">
+          <div className="text-sm text-red-400">👶 {name}</div>
+          <div className="text-4xl font-mono text-red-200">{fmtClock(Date.now())}</div>
+        </div>
+        <button
+          onPointerDown={startHold} onPointerUp={cancelHold} onPointerLeave={cancelHold} onPointerCancel={cancelHold}
+          onContextMenu={(e)=> e.preventDefault()}
+          className={`px-4 py-3 rounded-xl border border-red-900 select-none ${holding ? "bg-red-900 text-red-100" : "text-red-400"}`}>
+          {tr(holding ? "Siga presionando…" : "🔒 Mantener para salir")}
+        </button>
+      </div>
+
+      <section className="rounded-2xl p-4 border border-red-900 bg-red-950/40">
+        <h2 className="text-sm text-red-400 mb-2">{tr("Lo que toca")}</h2>
+        {upcoming.length ? (
+          <ol className="space-y-1">
+            {upcoming.map(({ type, due })=> (
+              <li key={type.key} className="flex items-center justify-between gap-2 text-lg">
+                <span>{type.emoji} {type.label}</span>
+                <span className="font-mono">{diffToCountdown(due)} <span className="text-sm text-red-400">{fmtClock(due)}</span></span>
+              </li>
+            ))}
+          </ol>
+        ) : <p className="text-sm text-red-400">{tr("Nada programado")}</p>}
+      </section>
+
+      <section className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {types.map((t)=> {
+          const last = lastByType[t.key];
+          if (t.kind === 'sleep'){
+            const asleep = !!last && !last.end;
+            return (
+              <div key={t.key} className="space-y-1">
+                <button onClick={()=> onToggleSleep(t.key)} className="w-full px-4 py-6 rounded-2xl text-2xl border border-red-900 bg-red-950/60 text-red-200 active:scale-[.98]">
+                  {tr(asleep ? "☀️ Se despertó" : "🌙 Se durmió")}
+                </button>
+                {last && <div className="text-xs text-red-400">{tr(asleep ? "Se durmió" : "Se despertó")} {fmtClock(asleep ? last.time : last.end)}</div>}
+              </div>
+            );
+          }
+          const amount = t.quantity ? (amounts[t.key] ?? nightAmount(t, last, quickAmount)) : '';
+          return (
+            <div key={t.key} className="space-y-2">
+              <button onClick={()=> onLog(t.key, amount)} className="w-full px-4 py-6 rounded-2xl text-2xl border border-red-900 bg-red-950/60 text-red-200 active:scale-[.98]">
+                {t.emoji} {t.label}{amount !== '' ? ` · ${fmtAmount(amount, t.unit, volumeUnit)}` : ""}
+              </button>
+              {last && <div className="text-xs text-red-400">{tr("Última vez")}: {fmtClock(last.time)}</div>}
+              {t.quantity && t.presets.length > 0 && (
+                <div className="grid grid-cols-4 gap-2 text-sm">
+                  {t.presets.map(preset => {
+                    const value = fromDisplay(toDisplay(preset, t.unit, volumeUnit, { preset: true }), t.unit, volumeUnit);
+                    const on = String(amount) === String(value);
+                    return (
+                      <button key={preset} aria-pressed={on} onClick={()=> setAmounts((a)=> ({ ...a, [t.key]: value }))}
+                        className={`${chip} ${on ? "bg-red-900 text-red-100" : ""}`}>
+                        {fmtAmount(value, t.unit, volumeUnit)}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+              {t.kind === 'feed' && (!nursing || (nursing.type ?? 'leche') === t.key) && (
+                <NursingPanel session={nursing} suggested={nextSide} onAction={(action, side)=> onNursing(action, side, t.key)} />
+              )}
+            </div>
+          );
+        })}
+      </section>
+
+      <section className="space-y-2">
+        <button onClick={openSummary} className={`w-full ${chip}`}>{tr("📋 Resumen para el relevo")}</button>
+        {summary !== null && (<>
+          <textarea ref={summaryRef} readOnly value={summary} rows={types.length + 1} aria-label={tr("Resumen para el relevo")}
+            className="w-full p-3 rounded-xl border border-red-900 bg-black text-red-200 font-mono text-sm" />
+          <div className="flex gap-2">
+            <button onClick={copySummary} className={`flex-1 ${chip}`}>{tr(copied ? "✓ Copiado" : "Copiar")}</button>
+            {navigator.share && <button onClick={()=> navigator.share({ text: summary }).catch(()=> {})} className={`flex-1 ${chip}`}>{tr("Compartir")}</button>}
+          </div>
+        </>)}
+      </section>
+    </main>
+  );
+}
+
+// -------------------- Event type settings --------------------
+function TypeSettings({ types, onUpdate, onMove, onAdd, onDelete }){
+  const [newLabel, setNewLabel] = useState("");
+  const field = "px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900";
+  const small = "px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 disabled:opacity-40";
+  return (
+    <details className="mt-4 text-left">
+      <summary className="cursor-pointer font-medium text-sm">{tr("Tipos de registro")}</summary>
+      <ul className="mt-3 space-y-3">
+        {types.map((t, i)=> (
+          <li key={t.key} className={`rounded-xl p-3 border border-zinc-200 dark:border-zinc-800 text-sm space-y-2 ${t.hidden ? "opacity-60" : ""}`}>
+            <div className="flex flex-wrap items-center gap-2">
+              <input aria-label={tr("Emoji")} value={t.emoji} onChange={(e)=> onUpdate(t.key, { emoji: e.target.value })} className={`${field} w-12 text-center`} />
+              <input aria-label={tr("Nombre")} value={t.label} onChange={(e)=> onUpdate(t.key, { label: e.target.value })} className={`${field} flex-1 min-w-0`} />
+              <input aria-label={tr("Color")} type="color" value={t.color} onChange={(e)=> onUpdate(t.key, { color: e.target.value })} className="w-10 h-8 rounded" />
+              <button onClick={()=> onMove(t.key, -1)} disabled={i===0} aria-label={tr("Subir")} className={small}>↑</button>
+              <button onClick={()=> onMove(t.key, 1)} disabled={i===types.length-1} aria-label={tr("Bajar")} className={small}>↓</button>
+              <button onClick={()=> onDelete(t.key)} aria-label={tr("Eliminar tipo")} className={small}>🗑</button>
+            </div>
+            <div className="flex flex-wrap items-center gap-3 text-xs">
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={t.hidden} onChange={(e)=> onUpdate(t.key, { hidden: e.target.checked })} /> {tr("Oculto")}
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={t.quantity} onChange={(e)=> onUpdate(t.key, { quantity: e.target.checked })} /> {tr("Con cantidad")}
+              </label>
+              <label className="flex items-center gap-1">
+                {tr("Modo")}
+                <select value={t.kind} onChange={(e)=> onUpdate(t.key, { kind: e.target.value })} className={field}>
+                  {Object.entries(KINDS).map(([k, label])=> <option key={k} value={k}>{tr(label)}</option>)}
+                </select>
+              </label>
+              {!(t.kind === 'med' && t.schedule === 'times') && (
+                <label className="flex items-center gap-1">
+                  {tr(t.kind === 'sleep' ? "Despierto máx. (h)" : "Intervalo (h)")}
+                  <input type="number" min={0} step={0.5} value={t.interval} onChange={(e)=> onUpdate(t.key, { interval: Number(e.target.value||0) })} className={`${field} w-16`} />
+                </label>
+              )}
+              {t.kind !== 'med' && (
+                <label className="flex items-center gap-1" title={tr("Adaptativo: predice según los últimos intervalos a horas parecidas; con pocos datos usa el intervalo fijo")}>
+                  {tr("Próximo")}
+                  <select value={t.predict} onChange={(e)=> onUpdate(t.key, { predict: e.target.value })} className={field}>
+                    <option value="fixed">{tr("Intervalo fijo")}</option>
+                    <option value="adaptive">{tr("Adaptativo")}</option>
+                  </select>
+                </label>
+              )}
+              {t.kind === 'med' && (<>
+                <label className="flex items-center gap-1">
+                  {tr("Horario")}
+                  <select value={t.schedule} onChange={(e)=> onUpdate(t.key, { schedule: e.target.value })} className={field}>
+                    <option value="interval">{tr("Cada N horas")}</option>
+                    <option value="times">{tr("Horas fijas")}</option>
+                  </select>
+                </label>
+                {t.schedule === 'times' && (
+                  <label className="flex items-center gap-1">
+                    {tr("Horas")}
+                    <TimesInput type={t} onUpdate={onUpdate} className={`${field} w-32`} />
+                  </label>
+                )}
+                <label className="flex items-center gap-1">
+                  {tr("Máx. en 24 h")}
+                  <input type="number" min={0} step={1} value={t.maxPerDay} onChange={(e)=> onUpdate(t.key, { maxPerDay: Math.max(0, Math.floor(Number(e.target.value||0))) })} className={`${field} w-14`} />
+                </label>
+                <label className="flex items-center gap-1">
+                  {tr("Tratamiento")}
+                  <input type="date" aria-label={tr("Inicio del tratamiento")} value={t.courseStart} max={t.courseEnd || undefined} onChange={(e)=> onUpdate(t.key, { courseStart: e.target.value })} className={field} />
+                  →
+                  <input type="date" aria-label={tr("Fin del tratamiento")} value={t.courseEnd} min={t.courseStart || undefined} onChange={(e)=> onUpdate(t.key, { courseEnd: e.target.value })} className={field} />
+                </label>
+              </>)}
+              {t.quantity && (<>
+                <label className="flex items-center gap-1">
+                  {tr("Unidad")}
+                  <input value={t.unit} onChange={(e)=> onUpdate(t.key, { unit: e.target.value })} className={`${field} w-16`} />
+                </label>
+                <label className="flex items-center gap-1">
+                  {tr("Atajos")}
+                  <input
+                    defaultValue={t.presets.join(", ")}
+                    onBlur={(e)=> onUpdate(t.key, { presets: e.target.value.split(/[,;\s]+/).filter(Boolean) })}
+                    placeholder="60, 90, 120"
+                    className={`${field} w-32`}
+                  />
+                </label>
+              </>)}
+            </div>
+          </li>
+        ))}
+      </ul>
+      <form className="mt-3 flex gap-2" onSubmit={(e)=> { e.preventDefault(); onAdd(newLabel); setNewLabel(""); }}>
+        <input value={newLabel} onChange={(e)=> setNewLabel(e.target.value)} placeholder={tr("Nuevo tipo (p. ej. Paracetamol)")} className={`${field} flex-1`} />
+        <button type="submit" disabled={!newLabel.trim()} className="px-4 py-2 rounded-xl bg-blue-600 text-white disabled:opacity-50">{tr("Agregar")}</button>
+      </form>
+    </details>
+  );
+}
+
+// -------------------- Growth --------------------
+// Fecha de nacimiento y sexo (ajustes del perfil, junto al nombre)
+function BirthFields({ settings, onChange, className }){
+  return (<>
+    <label className="flex flex-col gap-1 text-sm">
+      <span className="text-zinc-600 dark:text-zinc-400">{tr("Fecha de nacimiento")}</span>
+      <input type="date" value={settings.birthDate} max={dateKey(new Date())} onChange={(e)=> onChange({ birthDate: e.target.value })} className={className} />
+    </label>
+    <label className="flex flex-col gap-1 text-sm">
+      <span className="text-zinc-600 dark:text-zinc-400">{tr("Sexo (tablas OMS)")}</span>
+      <select value={settings.sex} onChange={(e)=> onChange({ sex: e.target.value })} className={className}>
+        <option value="">—</option>
+        <option value="f">{tr("Niña")}</option>
+        <option value="m">{tr("Niño")}</option>
+      </select>
+    </label>
+  </>);
+}
+
+const fmtAge = (months) => {
+  if (months === null) return "";
+  const days = Math.round(months * DAYS_PER_MONTH);
+  return days < 60 ? tr("{n} días", { n: days }) : tr("{n} meses", { n: Math.floor(months) });
+};
+
+// Unidad elegida para una medida; el perímetro cefálico sigue a la de longitud
+const growthUnit = (settings, key) => {
+  const units = { ...DEFAULT_SETTINGS.growthUnits, ...settings.growthUnits };
+  return key === 'weight' ? units.weight : units.length;
+};
+
+function GrowthView({ measurements, settings, onSave, onRemove, onSettings }){
+  const units = { ...DEFAULT_SETTINGS.growthUnits, ...settings.growthUnits };
+  const unitOf = (key) => growthUnit(settings, key);
+  const emptyDraft = () => ({ date: dateKey(new Date()), weight: "", length: "", head: "", notes: "" });
+  const [draft, setDraft] = useState(emptyDraft);
+  const { birthDate, sex } = settings;
+  const ready = !!(birthDate && sex);
+
+  function submit(ev){
+    ev.preventDefault();
+    // Medidas de días anteriores quedan al mediodía para no cambiar de día con la zona horaria
+    const day = fromDateKey(draft.date);
+    const time = draft.date === dateKey(new Date()) ? nowISO() : new Date(day.getFullYear(), day.getMonth(), day.getDate(), 12).toISOString();
+    const m = { id: crypto.randomUUID(), time, notes: draft.notes };
+    for (const key of Object.keys(MEASURES)) m[key] = toBase(draft[key], unitOf(key), key);
+    if (onSave(m)) setDraft(emptyDraft());
+  }
+
+  const field = "px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900";
+  const box = "rounded-2xl p-4 border border-zinc-200 dark:border-zinc-800 bg-white dark:bg-zinc-900 shadow-sm text-left";
+  return (
+    <div className="space-y-4">
+      {!ready && (
+        <section className={`${box} space-y-3`}>
+          <p className="text-sm">{tr("Para ver percentiles OMS indique la fecha de nacimiento y el sexo.")}</p>
+          <div className="grid grid-cols-2 gap-3">
+            <BirthFields settings={settings} onChange={onSettings} className={field} />
+          </div>
+        </section>
+      )}
+
+      <form onSubmit={submit} className={`${box} space-y-3 text-sm`}>
+        <h2 className="font-semibold">{tr("Nueva medida")}</h2>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          <label className="flex flex-col gap-1">
+            <span className="text-zinc-600 dark:text-zinc-400">{tr("Fecha")}</span>
+            <input type="date" required value={draft.date} max={dateKey(new Date())} onChange={(e)=> setDraft(d => ({ ...d, date: e.target.value }))} className={field} />
+          </label>
+          {Object.entries(MEASURES).map(([key, meta]) => (
+            <label key={key} className="flex flex-col gap-1">
+              <span className="text-zinc-600 dark:text-zinc-400">{tr(meta.label)}</span>
+              <div className="flex gap-1">
+                <input inputMode="decimal" value={draft[key]} onChange={(e)=> setDraft(d => ({ ...d, [key]: e.target.value }))} className={`${field} w-full min-w-0`} />
+                <select aria-label={tr("Unidad de {label}", { label: tr(meta.label) })} value={unitOf(key)}
+                  onChange={(e)=> onSettings({ growthUnits: { ...units, [key === 'weight' ? 'weight' : 'length']: e.target.value } })} className={field}>
+                  {Object.keys(unitsFor(key)).map(u => <option key={u} value={u}>{u}</option>)}
+                </select>
+              </div>
+            </label>
+          ))}
+        </div>
+        <input value={draft.notes} onChange={(e)=> setDraft(d => ({ ...d, notes: e.target.value }))} placeholder={tr("Notas (p. ej. control pediátrico)")} className={`${field} w-full`} />
+        <div className="flex justify-end">
+          <button type="submit" className="px-4 py-2 rounded-xl bg-blue-600 text-white">{tr("Guardar medida")}</button>
+        </div>
+      </form>
+
+      {ready && Object.entries(MEASURES).map(([key, meta]) => (
+        <section key={key} className={box}>
+          <h2 className="font-semibold mb-1">{meta.emoji} {tr(meta.label)}</h2>
+          <GrowthChart measureKey={key} measurements={measurements} sex={sex} birthDate={birthDate} unit={unitOf(key)} color={meta.color} />
+        </section>
+      ))}
+      {ready && <p className="text-xs text-zinc-500 dark:text-zinc-400">{tr("Curvas de los patrones de crecimiento de la OMS (percentiles 3, 15, 50, 85 y 97), de 0 a {n} meses.", { n: WHO_MAX_MONTHS })}</p>}
+
+      <section className={`${box} p-0 overflow-hidden`}>
+        <h2 className="font-semibold px-4 py-3">{tr("Medidas")}</h2>
+        <ul className="divide-y divide-zinc-200 dark:divide-zinc-800 text-sm">
+          {measurements.length === 0 && <li className="px-4 py-6 text-center text-zinc-500 dark:text-zinc-400">{tr("Sin medidas todavía.")}</li>}
+          {measurements.map(m => (
+            <li key={m.id} className="px-4 py-3 flex items-start gap-3">
+              <div className="flex-1 min-w-0">
+                <div className="font-medium">{fmtDate(m.time)} <span className="text-xs text-zinc-500 dark:text-zinc-400">{fmtAge(ageInMonths(birthDate, m.time))}</span></div>
+                <div className="flex flex-wrap gap-x-4 text-xs text-zinc-600 dark:text-zinc-400">
+                  {Object.entries(MEASURES).filter(([key]) => m[key] !== undefined).map(([key, meta]) => (
+                    <span key={key}>{tr(meta.label)}: {fromBase(m[key], unitOf(key), key)} {unitOf(key)}{ready && ` · ${fmtPercentile(growthPercentile(key, m[key], sex, birthDate, m.time))}`}</span>
+                  ))}
+                </div>
+                {m.notes && <div className="text-xs text-zinc-500 dark:text-zinc-400">{m.notes}</div>}
+              </div>
+              <button onClick={()=> onRemove(m.id)} aria-label={tr("Eliminar medida")} className="text-xs px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700">🗑</button>
+            </li>
+          ))}
+        </ul>
+      </section>
+    </div>
+  );
+}
+
+// Curvas de percentiles OMS con las medidas del bebé encima
+function GrowthChart({ measureKey, measurements, sex, birthDate, unit, color }){
+  const W = 320, H = 180, left = 30, right = 22, top = 8, bottom = 16;
+  const points = measurements
+    .map(m => ({ age: ageInMonths(birthDate, m.time), value: m[measureKey] }))
+    .filter(p => p.value !== undefined && p.age !== null && p.age <= WHO_MAX_MONTHS)
+    .sort((a, b) => a.age - b.age);
+  const maxAge = Math.min(WHO_MAX_MONTHS, Math.max(6, Math.ceil((points.at(-1)?.age ?? 4) + 2)));
+  const ages = Array.from({ length: maxAge*4 + 1 }, (_, i) => i/4);
+  const curves = PERCENTILES.map(({ p, z }) => ({ p, values: ages.map(a => fromBase(valueAtZ(lmsAt(measureKey, sex, a), z), unit, measureKey)) }));
+  const shown = points.map(p => ({ ...p, value: fromBase(p.value, unit, measureKey) }));
+  const all = [...curves.flatMap(c => c.values), ...shown.map(p => p.value)];
+  const lo = Math.min(...all), hi = Math.max(...all);
+  const x = (age) => left + (age / maxAge) * (W - left - right);
+  const y = (v) => top + (1 - (v - lo) / (hi - lo || 1)) * (H - top - bottom);
+  const path = (values) => values.map((v, i) => `${i ? 'L' : 'M'}${x(ages[i]).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  const step = maxAge <= 6 ? 1 : maxAge <= 12 ? 2 : 3;
+  const yTicks = [0, 1, 2, 3].map(i => lo + (hi - lo) * i / 3);
+  const outer = [...curves[0].values.map((v, i) => [ages[i], v]), ...curves.at(-1).values.map((v, i) => [ages[i], v]).reverse()];
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full h-56" role="img" aria-label={tr("Percentiles OMS ({unit})", { unit })}>
+      <polygon points={outer.map(([a, v]) => `${x(a).toFixed(1)},${y(v).toFixed(1)}`).join(' ')} fill={color} opacity="0.08" />
+      {curves.map(c => (
+        <g key={c.p}>
+          <path d={path(c.values)} fill="none" stroke={color} strokeWidth={c.p === 50 ? 1.2 : 0.6} opacity={c.p === 50 ? 0.7 : 0.4} />
+          <text x={W - right + 2} y={y(c.values.at(-1)) + 3} fontSize="7" fill="currentColor" opacity="0.6">P{c.p}</text>
+        </g>
+      ))}
+      {shown.length > 1 && <path d={shown.map((p, i) => `${i ? 'L' : 'M'}${x(p.age).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ')} fill="none" stroke="currentColor" strokeWidth="1" />}
+      {shown.map((p, i) => <circle key={i} cx={x(p.age)} cy={y(p.value)} r="2.5" fill="currentColor" />)}
+      {yTicks.map((v, i) => (
+        <text key={i} x={left - 3} y={y(v) + 3} textAnchor="end" fontSize="7" fill="currentColor" opacity="0.6">{Number(v.toFixed(unit === 'g' ? 0 : 1))}</text>
+      ))}
+      {Array.from({ length: Math.floor(maxAge/step) + 1 }, (_, i) => i*step).map(a => (
+        <text key={a} x={x(a)} y={H - 4} textAnchor="middle" fontSize="7" fill="currentColor" opacity="0.6">{a}m</text>
+      ))}
+      <line x1={left} x2={W - right} y1={H - bottom} y2={H - bottom} stroke="currentColor" opacity="0.2" />
+    </svg>
+  );
+}
+
+// -------------------- Sync (settings) --------------------
+// Se traducen al mostrarlos
+const SYNC_STATUS = { idle: "Sin sincronizar todavía", syncing: "Sincronizando…", ok: "Sincronizado", offline: "Sin conexión con el servidor" };
+
+function SyncSettings({ sync, status, records, profileName, onLink, onSyncNow, onMerge }){
+  const [server, setServer] = useState("");
+  const [code, setCode] = useState("");
+  const [qr, setQr] = useState("");
+  const fileRef = useRef(null);
+  const small = "px-3 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800 disabled:opacity-40";
+  const field = "px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900";
+  const pending = sync ? pendingChanges(records, sync.pushed).length : 0;
+  const link = sync ? syncLink(sync) : null;
+  const synced = (status === 'ok' || status === 'idle') && sync?.lastSync;
+
+  useEffect(()=>{
+    if (!link) return;
+    let cancelled = false;
+    QRCode.toString(link, { type: 'svg', margin: 1 }).then((svg)=> { if (!cancelled) setQr(svg); }).catch(()=> {});
+    return ()=> { cancelled = true; };
+  }, [link]);
+
+  function download(){
+    const blob = new Blob([encodeExchange(records, profileName)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = `nandebaby_intercambio_${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.json`;
+    a.click(); URL.revokeObjectURL(url);
+  }
+
+  async function handleFile(ev){
+    const file = ev.target.files?.[0];
+    if (!file) return;
+    try { onMerge(decodeExchange(await file.text())); }
+    catch (err) { alert(tr(err instanceof SyntaxError ? "No se pudo leer el archivo" : err.message)); }
+    finally { ev.target.value = ""; }
+  }
+
+  return (
+    <details className="mt-4 text-left">
+      <summary className="cursor-pointer font-medium text-sm">{tr("Sincronizar con otro teléfono")}</summary>
+      {sync ? (
+        <div className="mt-3 flex flex-wrap gap-4 text-sm">
+          {qr && <div className="w-32 h-32 bg-white rounded-lg p-1 [&>svg]:w-full [&>svg]:h-full" aria-label={tr("QR para vincular")} dangerouslySetInnerHTML={{ __html: qr }} />}
+          <div className="flex-1 min-w-0 space-y-2">
+            <div>{synced ? `${tr(SYNC_STATUS.ok)} · ${fmtTime(sync.lastSync)}` : tr(SYNC_STATUS[status])}</div>
+            {pending > 0 && status !== 'syncing' && <div className="text-xs text-amber-600 dark:text-amber-400">{tr("{n} cambios pendientes de enviar", { n: pending })}</div>}
+            <div className="text-xs text-zinc-500 dark:text-zinc-400 break-all">{tr("Código")} <span className="font-mono">{sync.room}</span> {tr("en {server}", { server: sync.server })}</div>
+            <p className="text-xs text-zinc-500 dark:text-zinc-400">{tr("Escanee el QR con el otro teléfono para vincularlo a este historial.")}</p>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={onSyncNow} disabled={status === 'syncing'} className={small}>{tr("🔄 Sincronizar ahora")}</button>
+              <button onClick={()=> confirm(tr("¿Dejar de sincronizar este perfil? Los registros se conservan.")) && onLink(null)} className={small}>{tr("Desvincular")}</button>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <form className="mt-3 space-y-2 text-sm" onSubmit={(e)=> { e.preventDefault(); onLink({ server: server.trim(), room: code.trim() || newRoomCode() }); }}>
+          <label className="flex flex-col gap-1">
+            <span className="text-zinc-600 dark:text-zinc-400">{tr("Servidor de sincronización")}</span>
+            <input value={server} onChange={(e)=> setServer(e.target.value)} type="url" required placeholder="https://mi-servidor:8787" className={field} />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="text-zinc-600 dark:text-zinc-400">{tr("Código (vacío para crear uno nuevo)")}</span>
+            <input value={code} onChange={(e)=> setCode(e.target.value)} pattern="[A-Za-z0-9_]{8,64}" className={`${field} font-mono`} />
+          </label>
+          <button type="submit" className="px-4 py-2 rounded-xl bg-blue-600 text-white">{tr(code.trim() ? "Unirse" : "Crear código")}</button>
+        </form>
+      )}
+      <p className="mt-4 text-xs text-zinc-500 dark:text-zinc-400">{tr("Sin servidor: exporte un archivo en un teléfono y combínelo en el otro.")}</p>
+      <div className="mt-2 flex flex-wrap gap-2 text-sm">
+        <button onClick={download} className={small}>{tr("📤 Archivo para otro teléfono")}</button>
+        <button onClick={()=> fileRef.current?.click()} className={small}>{tr("📥 Combinar archivo…")}</button>
+        <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={handleFile} />
+      </div>
+    </details>
+  );
+}
+
+// -------------------- Backups (settings) --------------------
+// Exportar/restaurar la copia completa (todos los perfiles y ajustes) y volver a una instantánea
+function BackupSettings(){
+  const [snapshots, setSnapshots] = useState([]);
+  const fileRef = useRef(null);
+  const small = "px-3 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800";
+
+  function refresh(){ setSnapshots(getJSON(localStore, SNAPSHOTS_KEY, [])); }
+
+  function download(){
+    const blob = new Blob([JSON.stringify(createBackup(), null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url; a.download = `nandebaby_copia_${new Date().toISOString().slice(0,19).replace(/[:T]/g,'-')}.json`;
+    a.click(); URL.revokeObjectURL(url);
+  }
+
+  function restore(backup, label){
+    const { data, error } = prepareRestore(backup);
+    if (error) return alert(error);
+    const { profiles, entries } = backupSummary({ data });
+    if (!confirm(tr("¿Reemplazar todos los datos con {source}? ({profiles} perfiles, {entries} registros)", { source: label, profiles, entries }))) return;
+    takeSnapshot(tr("Antes de restaurar"));
+    restoreBackup(data);
+    location.reload();
+  }
+
+  async function handleFile(ev){
+    const file = ev.target.files?.[0];
+    if (!file) return;
+    try { restore(JSON.parse(await file.text()), tr('la copia "{file}"', { file: file.name })); }
+    catch { alert(tr("No se pudo leer la copia")); }
+    finally { ev.target.value = ""; }
+  }
+
+  return (
+    <details className="mt-4 text-left" onToggle={(e)=> e.currentTarget.open && refresh()}>
+      <summary className="cursor-pointer font-medium text-sm">{tr("Copias de seguridad")}</summary>
+      <div className="mt-3 flex flex-wrap gap-2 text-sm">
+        <button onClick={download} className={small}>{tr("⬇️ Copia completa (JSON)")}</button>
+        <button onClick={()=> fileRef.current?.click()} className={small}>{tr("⬆️ Restaurar copia…")}</button>
+        <input ref={fileRef} type="file" accept=".json,application/json" className="hidden" onChange={handleFile} />
+      </div>
+      <p className="mt-3 text-xs text-zinc-500 dark:text-zinc-400">{tr("Instantáneas automáticas (últimos {n} días, en este dispositivo):", { n: SNAPSHOT_DAYS })}</p>
+      {snapshots.length === 0 ? (
+        <p className="mt-1 text-xs text-zinc-500 dark:text-zinc-400">{tr("Todavía no hay instantáneas.")}</p>
+      ) : (
+        <ul className="mt-2 space-y-2 text-sm">
+          {snapshots.map(snap => {
+            const { profiles, entries } = backupSummary(snap.backup);
+            return (
+              <li key={snap.id} className="flex items-center gap-2">
+                <div className="flex-1 min-w-0">
+                  <div className="truncate">{tr(snap.reason)}</div>
+                  <div className="text-xs text-zinc-500 dark:text-zinc-400">{fmtTime(snap.createdAt)} · {tr("{profiles} perfiles · {entries} registros", { profiles, entries })}</div>
+                </div>
+                <button onClick={()=> restore(snap.backup, tr("la instantánea del {date}", { date: fmtTime(snap.createdAt) }))} className={small}>{tr("Restaurar")}</button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </details>
+  );
+}
+
+// -------------------- Medication helpers (UI) --------------------
+// Horas fijas "09:00, 21:00"; se normalizan al salir del campo
+function TimesInput({ type, onUpdate, className }){
+  return (
+    <input key={type.times.join()} defaultValue={type.times.join(", ")} placeholder="09:00, 21:00" className={className}
+      onBlur={(e)=> onUpdate(type.key, { times: normalizeTimes(e.target.value) })} />
+  );
+}
+
+function MedSummary({ type, taken }){
+  const full = type.maxPerDay > 0 && taken >= type.maxPerDay;
+  return (
+    <div className="text-xs text-zinc-600 dark:text-zinc-400">
+      <span className={full ? "font-medium text-red-600 dark:text-red-400" : ""}>{type.maxPerDay > 0 ? tr("{n} de {max} dosis en 24 h", { n: taken, max: type.maxPerDay }) : tr("{n} dosis en 24 h", { n: taken })}</span>
+      {` · ${describeSchedule(type)}`}
+      {type.courseEnd && ` · ${tr("hasta {date}", { date: fmtDate(fromDateKey(type.courseEnd)) })}`}
+    </div>
+  );
+}
+
+// -------------------- Nursing timer --------------------
+function NursingPanel({ session, suggested, onAction }){
+  const btn = "px-2 py-2 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white/70 dark:bg-zinc-900";
+  if (!session){
+    return (
+      <div className="mt-2 pt-3 border-t border-zinc-200 dark:border-zinc-800 text-xs space-y-2">
+        <div className="text-zinc-600 dark:text-zinc-400">{tr("Pecho · sugerido:")} <span className="font-medium">{tr(SIDES[suggested])}</span></div>
+        <div className="grid grid-cols-2 gap-2">
+          {['izquierdo', 'derecho'].map(side => (
+            <button key={side} onClick={()=> onAction('start', side)}
+              className={side === suggested ? "px-2 py-2 rounded-lg bg-pink-600 text-white" : btn}>
+              ▶ {tr(SIDES[side])}
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+  const running = nursingRunning(session);
+  const current = session.segments.at(-1).side;
+  const dur = nursingDurations(session);
+  return (
+    <div className="mt-2 pt-3 border-t border-zinc-200 dark:border-zinc-800 text-xs space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-zinc-600 dark:text-zinc-400">{running ? tr("Pecho {side}", { side: tr(SIDES[current]).toLowerCase() }) : tr("En pausa")}</span>
+        <span className="font-mono text-sm">{fmtDuration(dur.izquierdo + dur.derecho)}</span>
+      </div>
+      <div className="flex justify-between font-mono text-zinc-600 dark:text-zinc-400">
+        <span>{tr("I")} {fmtDuration(dur.izquierdo)}</span><span>{tr("D")} {fmtDuration(dur.derecho)}</span>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <button onClick={()=> onAction('switch')} className={btn}>⇄ {tr(SIDES[otherSide(current)])}</button>
+        {running
+          ? <button onClick={()=> onAction('pause')} className={btn}>{tr("⏸ Pausa")}</button>
+          : <button onClick={()=> onAction('resume')} className={btn}>{tr("▶ Reanudar")}</button>}
+        <button onClick={()=> onAction('stop')} className="px-2 py-2 rounded-lg bg-pink-600 text-white">{tr("■ Terminar")}</button>
+        <button onClick={()=> onAction('cancel')} className={btn}>{tr("Descartar")}</button>
+      </div>
+    </div>
+  );
+}
+
+// -------------------- CSV import preview (modal) --------------------
+function ImportDialog({ file, types, entries, profiles, profileId, onConfirm, onCancel }){
+  const [mapping, setMapping] = useState(()=> guessMapping(file.columns));
+  const [choices, setChoices] = useState({}); // valor crudo de "tipo" → clave | "__new" | "" (rechazar)
+  const [mode, setMode] = useState('merge');
+  const profileName = profiles.find(p => p.id === profileId)?.name;
+
+  const rawTypes = useMemo(()=> mapping.tipo < 0 ? [] : [...new Set(file.records.map(r => String(r.cells[mapping.tipo] ?? '').trim()).filter(Boolean))], [file, mapping.tipo]);
+  const { typeMap, newTypes } = useMemo(()=> {
+    const typeMap = {}, newTypes = [];
+    for (const raw of rawTypes){
+      const choice = choices[raw] ?? matchType(raw, types) ?? '';
+      if (choice === '__new'){
+        const key = makeTypeKey(raw, [...types, ...newTypes]);
+        newTypes.push({ ...TYPE_TEMPLATE, key, label: raw });
+        typeMap[raw] = key;
+      } else typeMap[raw] = choice || null;
+    }
+    return { typeMap, newTypes };
+  }, [rawTypes, choices, types]);
+  const result = useMemo(()=> {
+    // Duplicados: contra el perfil actual o contra el perfil indicado en la fila
+    const existingFor = (name) => {
+      const target = name ? profiles.find(p => normalizeLabel(p.name) === normalizeLabel(name)) : null;
+      if (!name || target?.id === profileId) return mode === 'replace' ? [] : entries;
+      return target ? readProfile(target.id).entries : [];
+    };
+    return buildImport(file.records, mapping, typeMap, [...types, ...newTypes], existingFor);
+  }, [file, mapping, typeMap, types, newTypes, entries, profiles, profileId, mode]);
+
+  const missing = IMPORT_FIELDS.filter(f => f.required && mapping[f.key] < 0);
+  const unknown = rawTypes.filter(raw => !matchType(raw, types) && !isMeasurementType(raw));
+  const field = "px-2 py-1 rounded-lg border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900";
+  return (
+    <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-black/40 p-4" onClick={onCancel}>
+      <div onClick={(ev)=> ev.stopPropagation()}
+        className="w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-2xl p-4 space-y-4 text-left text-sm bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-800 shadow-lg">
+        <div>
+          <h2 className="font-semibold">{tr("Importar {file}", { file: file.fileName })}</h2>
+          <p className="text-xs text-zinc-500 dark:text-zinc-400">{tr('{n} filas · separador "{delimiter}"', { n: file.records.length, delimiter: file.delimiter === '\t' ? 'tab' : file.delimiter })}</p>
+        </div>
+
+        <details open={missing.length > 0}>
+          <summary className="cursor-pointer font-medium">{tr("Columnas")}</summary>
+          <div className="mt-2 grid grid-cols-2 gap-2">
+            {IMPORT_FIELDS.map(f => (
+              <label key={f.key} className="flex flex-col gap-1 text-xs">
+                <span className="text-zinc-600 dark:text-zinc-400">{tr(f.label)}{f.required ? " *" : ""}</span>
+                <select value={mapping[f.key]} onChange={(e)=> setMapping(m => ({ ...m, [f.key]: Number(e.target.value) }))} className={field}>
+                  <option value={-1}>—</option>
+                  {file.columns.map((c, i)=> <option key={i} value={i}>{c || tr("Columna {n}", { n: i+1 })}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+          {missing.length > 0 && <p className="mt-2 text-xs text-red-500">{tr("Falta asignar: {fields}", { fields: missing.map(f => tr(f.label)).join(", ") })}</p>}
+        </details>
+
+        {unknown.length > 0 && (
+          <div className="space-y-2">
+            <div className="font-medium">{tr("Tipos desconocidos")}</div>
+            {unknown.map(raw => (
+              <label key={raw} className="flex items-center gap-2 text-xs">
+                <span className="flex-1 truncate">"{raw}"</span>
+                <select value={choices[raw] ?? ''} onChange={(e)=> setChoices(c => ({ ...c, [raw]: e.target.value }))} className={field}>
+                  <option value="">{tr("Rechazar")}</option>
+                  <option value="__new">{tr("Crear tipo nuevo")}</option>
+                  {types.map(t => <option key={t.key} value={t.key}>{t.emoji} {t.label}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-3 text-sm">
+          <span className="text-green-600">✔ {tr("{n} válidos", { n: result.valid.length })}{result.measurements.length > 0 && ` + ${tr("{n} medidas", { n: result.measurements.length })}`}</span>
+          <span className="text-amber-600">↺ {tr("{n} duplicados", { n: result.duplicates.length })}</span>
+          <span className="text-red-500">✖ {tr("{n} rechazados", { n: result.rejected.length })}</span>
+        </div>
+        {result.rejected.length > 0 && (
+          <ul className="max-h-40 overflow-y-auto text-xs space-y-1 rounded-xl p-2 bg-zinc-50 dark:bg-zinc-950">
+            {result.rejected.slice(0, 100).map((r, i)=> (
+              <li key={i}><span className="font-mono">L{r.line}</span> {r.reason} <span className="text-zinc-500 dark:text-zinc-400 truncate">· {r.raw}</span></li>
+            ))}
+            {result.rejected.length > 100 && <li className="text-zinc-500">{tr("… y {n} más", { n: result.rejected.length - 100 })}</li>}
+          </ul>
+        )}
+        {result.duplicates.length > 0 && (
+          <p className="text-xs text-zinc-500 dark:text-zinc-400">{tr("Los duplicados (mismo id, o mismo tipo y minuto) no se importan.")}</p>
+        )}
+
+        <div className="space-y-1">
+          <label className="flex items-center gap-2"><input type="radio" checked={mode==='merge'} onChange={()=> setMode('merge')} /> {tr("Combinar con el historial actual")}</label>
+          <label className="flex items-center gap-2"><input type="radio" checked={mode==='replace'} onChange={()=> setMode('replace')} /> {tr("Reemplazar el historial de {name}", { name: profileName })}</label>
+        </div>
+
+        <div className="flex gap-2 justify-end">
+          <button type="button" onClick={onCancel} className="px-4 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">{tr("Cancelar")}</button>
+          <button
+            onClick={()=> onConfirm({ valid: result.valid, measurements: result.measurements, newTypes: newTypes.filter(t => result.valid.some(v => v.entry.type === t.key)), mode })}
+            disabled={missing.length > 0 || (result.valid.length + result.measurements.length === 0 && mode === 'merge')}
+            className="px-4 py-2 rounded-xl bg-blue-600 text-white disabled:opacity-50">
+            {tr("Importar {n}", { n: result.valid.length + result.measurements.length })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// -------------------- Entry editor (modal) --------------------
+// La cantidad se edita en la unidad preferida (volumeUnit) y se guarda en la del registro o su tipo
+function EntryEditor({ entry, isNew, types, volumeUnit, onSave, onCancel }){
+  // Cantidad y minutos tal como se mostraron al abrir: lo que no se toca se guarda como estaba
+  // (ml → oz → ml no vuelve exacto y 90 s redondeados a 2 min serían 120 s)
+  const [shown] = useState(()=> {
+    const unit = entry.unit ?? typeMeta(types, entry.type).unit;
+    const minutes = entry.durations ? { izquierdo: String(Math.round(entry.durations.izquierdo/60)), derecho: String(Math.round(entry.durations.derecho/60)) } : null;
+    return { unit, amount: toDisplay(entry.amount, unit, volumeUnit), minutes };
+  });
+  const [draft, setDraft] = useState(()=> ({
+    ...entry, time: toLocalInput(entry.time), end: entry.end ? toLocalInput(entry.end) : "", notes: entry.notes ?? "",
+    amount: shown.amount,
+    minutes: shown.minutes,
+  }));
+  const set = (k) => (ev) => setDraft(d=> ({ ...d, [k]: ev.target.value }));
+  const setMinutes = (side) => (ev) => setDraft(d=> ({ ...d, minutes: { ...d.minutes, [side]: ev.target.value } }));
+  const time = fromLocalInput(draft.time);
+  const tmeta = typeMeta(types, draft.type);
+  const unit = draft.unit ?? tmeta.unit;
+  const end = tmeta.kind === 'sleep' && draft.end ? (fromLocalInput(draft.end) ?? "inválida") : undefined;
+  const error = validateEntry({ ...draft, time, end }, types, Date.now(), isNew ? undefined : entry)
+    || (draft.minutes && Object.values(draft.minutes).some(m => !(parseAmount(m) >= 0)) ? tr("Los minutos deben ser un número") : null);
+
+  function submit(ev){
+    ev.preventDefault();
+    if (error) return;
+    const { minutes, ...rest } = draft;
+    const amount = rest.amount === shown.amount && unit === shown.unit ? entry.amount : fromDisplay(rest.amount, unit, volumeUnit);
+    const out = { ...rest, time, end, amount };
+    if (minutes && (minutes.izquierdo !== shown.minutes.izquierdo || minutes.derecho !== shown.minutes.derecho)){
+      const secs = (side) => minutes[side] === shown.minutes[side] ? entry.durations[side] : Math.round(parseAmount(minutes[side])*60);
+      out.durations = { izquierdo: secs('izquierdo'), derecho: secs('derecho') };
+      out.side = out.durations.izquierdo && out.durations.derecho ? 'ambos' : (out.durations.derecho ? 'derecho' : 'izquierdo');
+    }
+    onSave(out);
+  }
+
+  const field = "px-3 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-900";
+  return (
+    <div className="fixed inset-0 z-30 flex items-end sm:items-center justify-center bg-black/40 p-4" onClick={onCancel}>
+      <form onSubmit={submit} onClick={(ev)=> ev.stopPropagation()}
+        className="w-full max-w-md rounded-2xl p-4 space-y-3 text-left bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-800 shadow-lg">
+        <h2 className="font-semibold">{tr(isNew ? "Nuevo registro" : "Editar registro")}</h2>
+        <label className="flex flex-col gap-1 text-sm">
+          <span className="text-zinc-600 dark:text-zinc-400">{tr("Tipo")}</span>
+          <select value={draft.type} onChange={set('type')} className={field}>
+            {types.map(t=> <option key={t.key} value={t.key}>{t.emoji} {t.label}</option>)}
+            {!types.some(t => t.key === entry.type) && <option value={entry.type}>{typeMeta(types, entry.type).emoji} {entry.type}</option>}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-sm">
+          <span className="text-zinc-600 dark:text-zinc-400">{tr(tmeta.kind === 'sleep' ? "Se durmió" : "Hora")}</span>
+          <input type="datetime-local" value={draft.time} max={toLocalInput(nowISO())} onChange={set('time')} className={field} />
+        </label>
+        {tmeta.kind === 'sleep' && (
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="text-zinc-600 dark:text-zinc-400">{tr("Se despertó (vacío = sigue durmiendo)")}</span>
+            <input type="datetime-local" value={draft.end} max={toLocalInput(nowISO())} onChange={set('end')} className={field} />
+          </label>
+        )}
+        {tmeta.kind !== 'sleep' && (
+          <label className="flex flex-col gap-1 text-sm">
+            <span className="text-zinc-600 dark:text-zinc-400">{unit ? tr("Cantidad ({unit})", { unit: displayUnit(unit, volumeUnit) }) : tr("Cantidad")}</span>
+            <input value={draft.amount} onChange={set('amount')} inputMode="decimal" className={field} />
+          </label>
+        )}
+        {draft.minutes && (
+          <div className="grid grid-cols-2 gap-3">
+            {['izquierdo', 'derecho'].map(side => (
+              <label key={side} className="flex flex-col gap-1 text-sm">
+                <span className="text-zinc-600 dark:text-zinc-400">{tr("Pecho {side} (min)", { side: tr(SIDES[side]).toLowerCase() })}</span>
+                <input value={draft.minutes[side]} onChange={setMinutes(side)} inputMode="numeric" className={field} />
+              </label>
+            ))}
+          </div>
+        )}
+        <label className="flex flex-col gap-1 text-sm">
+          <span className="text-zinc-600 dark:text-zinc-400">{tr("Notas")}</span>
+          <textarea value={draft.notes} onChange={set('notes')} rows={2} className={field} />
+        </label>
+        {error && <p className="text-xs text-red-500">{error}</p>}
+        <div className="flex gap-2 justify-end">
+          <button type="button" onClick={onCancel} className="px-4 py-2 rounded-xl border border-zinc-300 dark:border-zinc-700 bg-white dark:bg-zinc-800">{tr("Cancelar")}</button>
+          <button type="submit" disabled={!!error} className="px-4 py-2 rounded-xl bg-blue-600 text-white disabled:opacity-50">{tr("Guardar")}</button>
+        </div>
+      </form>
+    </div>
+  );
+}
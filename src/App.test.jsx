@@ -0,0 +1,307 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import App from './App.jsx';
+import { DEFAULT_SETTINGS, DEFAULT_TYPES } from './types.js';
+
+const activeEntries = () => {
+  const { active } = JSON.parse(localStorage.getItem('nb_profiles'));
+  return JSON.parse(localStorage.getItem(`nb_entries:${active}`)).filter(e => !e.deleted);
+};
+const historyItems = () => screen.queryAllByText(/ — \d{2}:\d{2}/);
+
+beforeEach(() => {
+  vi.spyOn(window, 'confirm').mockReturnValue(true);
+  vi.spyOn(window, 'alert').mockImplementation(() => {});
+});
+
+describe('registrar', () => {
+  it('un tipo sin cantidad se registra con un toque y se puede deshacer', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    expect(screen.getByText(/Sin registros todavía/)).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Registrar Pañal' }));
+    expect(historyItems().map(el => el.textContent)).toEqual([expect.stringMatching(/^Pañal — /)]);
+    expect(activeEntries()).toMatchObject([{ type: 'panal' }]);
+
+    await user.click(screen.getByRole('button', { name: 'Deshacer' }));
+    expect(historyItems()).toHaveLength(0);
+    expect(activeEntries()).toEqual([]);
+  });
+
+  it('la cantidad sale del campo rápido o de un atajo', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    const amount = screen.getByLabelText('Cantidad de Leche');
+    await user.clear(amount);
+    await user.type(amount, '95');
+    await user.click(screen.getAllByRole('button', { name: 'Registrar' })[0]);
+    await user.click(screen.getByRole('button', { name: '150 ml' }));
+    await user.click(screen.getAllByRole('button', { name: 'Registrar' })[0]);
+    expect(activeEntries().map(e => e.amount).sort()).toEqual(['150', '95']);
+    expect(historyItems().map(el => el.parentElement.textContent)).toEqual([expect.stringContaining('150 ml'), expect.stringContaining('95 ml')]);
+  });
+
+  it('editar y eliminar desde el historial', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(screen.getByRole('button', { name: 'Registrar Pañal' }));
+    await user.click(screen.getByRole('button', { name: 'Editar' }));
+    await user.type(screen.getByLabelText('Notas'), 'Mojado');
+    await user.click(screen.getByRole('button', { name: 'Guardar' }));
+    expect(activeEntries()[0].notes).toBe('Mojado');
+
+    await user.click(screen.getByRole('button', { name: 'Eliminar' }));
+    expect(activeEntries()).toEqual([]);
+  });
+
+  it('editar otra cosa no redondea los minutos de pecho', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('nb_entries', JSON.stringify([
+      { id: 'p1', type: 'leche', time: '2026-01-01T08:00:00.000Z', side: 'ambos', durations: { izquierdo: 90, derecho: 20 } },
+    ]));
+    render(<App />);
+    await user.click(screen.getByRole('button', { name: 'Editar' }));
+    await user.type(screen.getByLabelText('Notas'), 'Tranquilo');
+    await user.click(screen.getByRole('button', { name: 'Guardar' }));
+    expect(activeEntries()[0]).toMatchObject({ side: 'ambos', durations: { izquierdo: 90, derecho: 20 }, notes: 'Tranquilo' });
+
+    await user.click(screen.getByRole('button', { name: 'Editar' }));
+    const left = screen.getByLabelText('Pecho izquierdo (min)');
+    await user.clear(left);
+    await user.type(left, '5');
+    await user.click(screen.getByRole('button', { name: 'Guardar' }));
+    expect(activeEntries()[0]).toMatchObject({ side: 'ambos', durations: { izquierdo: 300, derecho: 20 } });
+  });
+});
+
+describe('idioma y unidades', () => {
+  it('cambiar a inglés traduce la interfaz y se recuerda', async () => {
+    const user = userEvent.setup();
+    const { unmount } = render(<App />);
+    await user.selectOptions(screen.getByLabelText('Idioma'), 'en');
+    expect(screen.getByRole('button', { name: 'Log Pañal' })).toBeInTheDocument();
+    expect(screen.getByText('No entries yet. Use the buttons above.')).toBeInTheDocument();
+    expect(document.documentElement.lang).toBe('en');
+
+    unmount();
+    render(<App />);
+    expect(screen.getByLabelText('Language')).toHaveValue('en');
+  });
+
+  it('en oz los atajos y el historial se convierten, pero se guarda en ml', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.selectOptions(screen.getByLabelText('Unidad de volumen'), 'oz');
+    await user.click(screen.getByRole('button', { name: '4 oz' }));
+    await user.click(screen.getAllByRole('button', { name: 'Registrar' })[0]);
+    expect(activeEntries()[0].amount).toBe('118.29');
+    expect(historyItems()[0].parentElement).toHaveTextContent('4 oz');
+  });
+
+  it('en oz, lo que no se toca conserva la cantidad guardada', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(screen.getAllByRole('button', { name: 'Registrar' })[0]);
+    await user.selectOptions(screen.getByLabelText('Unidad de volumen'), 'oz');
+    const quick = screen.getByLabelText('Cantidad de Leche');
+    expect(quick).toHaveValue('4.1');
+    await user.click(quick);
+    await user.tab();
+    expect(JSON.parse(localStorage.getItem(`nb_quick_amount:${JSON.parse(localStorage.getItem('nb_profiles')).active}`)).leche).toBe('120');
+
+    await user.click(screen.getByRole('button', { name: 'Editar' }));
+    await user.type(screen.getByLabelText('Notas'), 'Toda');
+    await user.click(screen.getByRole('button', { name: 'Guardar' }));
+    expect(activeEntries()[0]).toMatchObject({ amount: '120', notes: 'Toda' });
+  });
+});
+
+describe('exportar e importar CSV', () => {
+  it('lo exportado se puede volver a importar', async () => {
+    const user = userEvent.setup();
+    let blob;
+    URL.createObjectURL = vi.fn((b) => { blob = b; return 'blob:csv'; });
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    render(<App />);
+    await user.click(screen.getByRole('button', { name: 'Registrar Pañal' }));
+    await user.click(screen.getAllByRole('button', { name: 'Registrar' })[0]);
+    const before = activeEntries();
+
+    await user.click(screen.getByRole('button', { name: /Exportar CSV/ }));
+    const csv = await blob.text();
+    expect(csv.split('\n')).toHaveLength(3);
+
+    await user.click(screen.getByRole('button', { name: 'Borrar historial' }));
+    expect(activeEntries()).toEqual([]);
+
+    const input = document.querySelector('input[type=file]');
+    await user.upload(input, new File([csv], 'export.csv', { type: 'text/csv' }));
+    await screen.findByRole('heading', { name: 'Importar export.csv' });
+    await user.click(screen.getByRole('button', { name: 'Importar 2' }));
+    const strip = ({ id, type, time, amount }) => ({ id, type, time, amount });
+    expect(activeEntries().map(strip)).toEqual(before.map(strip));
+  });
+
+  it('un registro ya existente se marca como duplicado', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(screen.getByRole('button', { name: 'Registrar Pañal' }));
+    const [entry] = activeEntries();
+    const csv = `id,tipo,hora\n${entry.id},panal,${entry.time}\nnuevo,panal,2026-01-01T08:00:00.000Z\n`;
+    await user.upload(document.querySelector('input[type=file]'), new File([csv], 'mix.csv', { type: 'text/csv' }));
+    await screen.findByRole('heading', { name: 'Importar mix.csv' });
+    expect(screen.getByText('↺ 1 duplicados')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Importar 1' }));
+    expect(activeEntries().map(e => e.id).sort()).toEqual(['nuevo', entry.id].sort());
+  });
+
+  it('deshacer una importación vuelve a la instantánea previa, también en otros perfiles', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+    await user.click(screen.getByRole('button', { name: 'Registrar Pañal' }));
+    const before = activeEntries();
+    const csv = 'tipo,hora,perfil\npanal,2026-01-01T08:00:00.000Z,\npanal,2026-01-01T09:00:00.000Z,Mellizo\n';
+    await user.upload(document.querySelector('input[type=file]'), new File([csv], 'dos.csv', { type: 'text/csv' }));
+    await screen.findByRole('heading', { name: 'Importar dos.csv' });
+    await user.click(screen.getByRole('button', { name: 'Importar 2' }));
+    expect(activeEntries()).toHaveLength(2);
+    expect(JSON.parse(localStorage.getItem('nb_profiles')).list).toHaveLength(2);
+
+    const reload = vi.fn();
+    vi.stubGlobal('location', { ...location, reload });
+    await user.click(screen.getByRole('button', { name: 'Deshacer' }));
+    expect(reload).toHaveBeenCalled();
+    expect(activeEntries()).toEqual(before);
+    expect(JSON.parse(localStorage.getItem('nb_profiles')).list).toHaveLength(1);
+  });
+});
+
+describe('sincronización', () => {
+  it('lo que llega del servidor sin tipo u hora válidos no entra al historial', async () => {
+    localStorage.setItem('nb_profiles', JSON.stringify({ active: 'p1', list: [{ id: 'p1', name: 'Ana' }] }));
+    localStorage.setItem('nb_sync:p1', JSON.stringify({ server: 'http://sync.test', room: 'sala', since: 0 }));
+    const good = { id: 'ok', type: 'panal', time: '2026-03-10T08:00:00.000Z', updatedAt: 100 };
+    const fetch = vi.fn(async () => new Response(JSON.stringify({ seq: 3, entries: [good, { id: 'roto' }, { id: 'sin-hora', type: 'panal', time: 'ayer' }] })));
+    vi.stubGlobal('fetch', fetch);
+    vi.stubGlobal('WebSocket', class { close(){} });
+    render(<App />);
+    await vi.waitFor(() => expect(JSON.parse(localStorage.getItem('nb_sync:p1')).since).toBe(3), { timeout: 3000 });
+    expect(JSON.parse(localStorage.getItem('nb_entries:p1'))).toEqual([good]);
+    expect(historyItems()).toHaveLength(1);
+  });
+});
+
+describe('informe', () => {
+  it('incluye los tipos ocultos que tienen registros en el período', async () => {
+    const user = userEvent.setup();
+    const types = DEFAULT_TYPES.map(t => t.key === 'vitamina' ? { ...t, hidden: true } : t);
+    localStorage.setItem('nb_profiles', JSON.stringify({ active: 'p1', list: [{ id: 'p1', name: 'Ana' }] }));
+    localStorage.setItem('nb_settings:p1', JSON.stringify({ ...DEFAULT_SETTINGS, types }));
+    localStorage.setItem('nb_entries:p1', JSON.stringify([
+      { id: 'v1', type: 'vitamina', time: new Date(Date.now() - 3600*1000).toISOString(), notes: 'Con jugo', updatedAt: 1 },
+    ]));
+    render(<App />);
+    expect(screen.queryByRole('button', { name: 'Registrar Vitamina' })).toBeNull();
+    await user.click(screen.getByRole('button', { name: '🧾 Informe' }));
+    expect(screen.getByText(/✨ Vitamina: Con jugo/)).toBeInTheDocument();
+    expect(screen.getByRole('cell', { name: '✨ Vitamina' })).toBeInTheDocument();
+  });
+});
+
+describe('modo noche', () => {
+  it('botones grandes con la última cantidad y resumen para el relevo', async () => {
+    const user = userEvent.setup();
+    const writeText = vi.fn(() => Promise.resolve());
+    vi.stubGlobal('navigator', { ...navigator, clipboard: { writeText } });
+    render(<App />);
+    await user.click(screen.getByRole('button', { name: '90 ml' }));
+    await user.click(screen.getAllByRole('button', { name: 'Registrar' })[0]);
+    await user.click(screen.getByRole('button', { name: /Modo noche/ }));
+
+    expect(screen.queryByText('Horarios y preferencias')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Eliminar' })).not.toBeInTheDocument();
+    expect(screen.getByText('Lo que toca')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: /Leche · 90 ml/ }));
+    expect(activeEntries().map(e => e.amount)).toEqual(['90', '90']);
+
+    await user.click(screen.getByRole('button', { name: /Resumen para el relevo/ }));
+    expect(screen.getByLabelText('Resumen para el relevo').value).toMatch(/Leche: \d{2}:\d{2}, 90 ml · toca/);
+    await user.click(screen.getByRole('button', { name: 'Copiar' }));
+    expect(writeText).toHaveBeenCalledWith(screen.getByLabelText('Resumen para el relevo').value);
+  });
+
+  it('para salir hay que mantener presionado y escribir el PIN', async () => {
+    vi.useFakeTimers();
+    localStorage.setItem('nb_night', 'true');
+    localStorage.setItem('nb_night_pin', '"1234"');
+    const prompt = vi.spyOn(window, 'prompt').mockReturnValueOnce('0000').mockReturnValueOnce('1234');
+    render(<App />);
+    const exit = screen.getByRole('button', { name: /Mantener para salir/ });
+
+    fireEvent.pointerDown(exit);
+    await act(() => vi.advanceTimersByTimeAsync(500));
+    fireEvent.pointerUp(exit);
+    await act(() => vi.advanceTimersByTimeAsync(2000));
+    expect(prompt).not.toHaveBeenCalled();
+
+    fireEvent.pointerDown(exit);
+    await act(() => vi.advanceTimersByTimeAsync(1500));
+    expect(window.alert).toHaveBeenCalledWith('PIN incorrecto');
+    expect(screen.queryByText('Horarios y preferencias')).not.toBeInTheDocument();
+
+    fireEvent.pointerDown(exit);
+    await act(() => vi.advanceTimersByTimeAsync(1500));
+    expect(screen.getByText('Horarios y preferencias')).toBeInTheDocument();
+  });
+});
+
+describe('recordatorios', () => {
+  it('con notificaciones activas avisa cuando vence el intervalo', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-10T12:00:00Z'));
+    const Notification = vi.fn();
+    Notification.permission = 'granted';
+    vi.stubGlobal('Notification', Notification);
+    render(<App />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Activar notificaciones/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'Registrar Pañal' }));
+    await act(() => vi.advanceTimersByTimeAsync(3*3600*1000 - 1000));
+    expect(Notification).not.toHaveBeenCalledWith(expect.stringContaining('Pañal'), expect.anything());
+
+    await act(() => vi.advanceTimersByTimeAsync(1000));
+    expect(Notification).toHaveBeenCalledWith('🚼 Bebé · Pañal', { body: 'Hora del próximo evento' });
+  });
+
+  it('un registro nuevo reprograma el aviso', async () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-10T12:00:00Z'));
+    const Notification = vi.fn();
+    Notification.permission = 'granted';
+    vi.stubGlobal('Notification', Notification);
+    render(<App />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Activar notificaciones/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'Registrar Pañal' }));
+    await act(() => vi.advanceTimersByTimeAsync(2*3600*1000));
+    fireEvent.click(screen.getByRole('button', { name: 'Registrar Pañal' }));
+    await act(() => vi.advanceTimersByTimeAsync(2*3600*1000));
+    expect(Notification).not.toHaveBeenCalledWith('🚼 Bebé · Pañal', expect.anything());
+    await act(() => vi.advanceTimersByTimeAsync(3600*1000));
+    expect(Notification).toHaveBeenCalledTimes(1);
+  });
+
+  it('sin notificaciones activas no programa nada', async () => {
+    vi.useFakeTimers();
+    const Notification = vi.fn();
+    Notification.permission = 'granted';
+    vi.stubGlobal('Notification', Notification);
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Registrar Pañal' }));
+    await act(() => vi.advanceTimersByTimeAsync(24*3600*1000));
+    expect(Notification).not.toHaveBeenCalled();
+  });
+});
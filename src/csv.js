@@ -0,0 +1,162 @@
+// Exportación e importación CSV
+import { normalizeLabel, parseAmount } from "./utils.js";
+import { normalizeEntry, validateEntry } from "./entries.js";
+import { SIDES } from "./nursing.js";
+import { isMeasurementType, normalizeMeasurement, validateMeasurement } from "./growth.js";
+import { tr } from "./i18n.js";
+
+// Las medidas de crecimiento van en el mismo archivo con tipo "medida" (ver MEASUREMENT_TYPE).
+// El encabezado es fijo y no depende del idioma de la interfaz; las cantidades van en la unidad guardada.
+export const CSV_HEADER = ["id", "type", "time", "amount", "notes", "side", "last_side", "left_seconds", "right_seconds", "end", "profile", "weight_kg", "length_cm", "head_cm", "unit"];
+export const toCSV = (rows) => {
+  const header = CSV_HEADER;
+  const escape = (s) => '"' + String(s ?? "").replace(/"/g, '""') + '"';
+  return [header.join(","), ...rows.map(r => [r.id, r.type, r.time, r.amount ?? "", r.notes ?? "", r.side ?? "", r.lastSide ?? "", r.durations?.izquierdo ?? "", r.durations?.derecho ?? "", r.end ?? "", r.profile ?? "", r.weight ?? "", r.length ?? "", r.head ?? "", r.unit ?? ""].map(escape).join(","))].join("\n");
+};
+
+// Parser completo: campos entre comillas con saltos de línea, BOM y separador "," ";" o tabulador
+// (Excel en español exporta con ";"). Cada registro guarda la línea donde empieza.
+export function parseCSV(text){
+  text = String(text).replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? '';
+  const outside = firstLine.replace(/"[^"]*"/g, '');
+  const delimiter = [',', ';', '\t'].reduce((best, d) => outside.split(d).length > outside.split(best).length ? d : best, ',');
+  const rows = [];
+  let row = [], cur = '', inQ = false, line = 1, rowLine = 1;
+  for (let i = 0; i < text.length; i++){
+    const ch = text[i];
+    if (inQ){
+      if (ch === '"'){
+        if (text[i+1] === '"'){ cur += '"'; i++; } else inQ = false;
+      } else if (ch === '\r' && text[i+1] === '\n'){ /* el \n siguiente agrega el salto */ }
+      else { if (ch === '\n') line++; cur += ch; }
+    } else if (ch === '"') inQ = true;
+    else if (ch === delimiter){ row.push(cur); cur = ''; }
+    else if (ch === '\n' || ch === '\r'){
+      if (ch === '\r' && text[i+1] === '\n') i++;
+      row.push(cur); rows.push({ line: rowLine, cells: row });
+      row = []; cur = ''; rowLine = ++line;
+    } else cur += ch;
+  }
+  if (cur !== '' || row.length){ row.push(cur); rows.push({ line: rowLine, cells: row }); }
+  const [head, ...records] = rows.filter(r => r.cells.some(c => c.trim() !== ''));
+  return { delimiter, columns: head ? head.cells.map(c => c.trim()) : [], records };
+}
+
+// Campos que entiende la importación; aliases = encabezados de esta app (el actual y el anterior en
+// español) y de otras apps de bebés. Las etiquetas se traducen al mostrarlas.
+export const IMPORT_FIELDS = [
+  { key: 'id', label: "ID", aliases: ['id', 'uuid'] },
+  { key: 'tipo', label: "Tipo", required: true, aliases: ['tipo', 'type', 'activity', 'actividad', 'event', 'evento', 'category', 'categoria'] },
+  { key: 'fecha', label: "Fecha (si la hora va aparte)", aliases: ['fecha', 'date', 'day', 'dia'] },
+  { key: 'hora', label: "Hora / inicio", required: true, aliases: ['hora', 'time', 'start', 'start time', 'inicio', 'datetime', 'timestamp', 'fecha y hora'] },
+  { key: 'fin', label: "Fin", aliases: ['fin', 'end', 'end time', 'finish'] },
+  { key: 'cantidad', label: "Cantidad", aliases: ['cantidad', 'amount', 'quantity', 'volume', 'volumen'] },
+  { key: 'notas', label: "Notas", aliases: ['notas', 'notes', 'note', 'comment', 'comments', 'comentario', 'comentarios'] },
+  { key: 'lado', label: "Lado (pecho)", aliases: ['lado', 'side'] },
+  { key: 'ultimo_lado', label: "Último lado", aliases: ['ultimo_lado', 'last_side', 'last side'] },
+  { key: 'seg_izquierdo', label: "Segundos izquierdo", aliases: ['seg_izquierdo', 'left_seconds'] },
+  { key: 'seg_derecho', label: "Segundos derecho", aliases: ['seg_derecho', 'right_seconds'] },
+  { key: 'perfil', label: "Perfil / bebé", aliases: ['perfil', 'profile', 'baby', 'bebe', 'child'] },
+  { key: 'peso_kg', label: "Peso (kg)", aliases: ['peso_kg', 'weight_kg', 'peso', 'weight', 'weight (kg)'] },
+  { key: 'longitud_cm', label: "Longitud (cm)", aliases: ['longitud_cm', 'length_cm', 'longitud', 'talla', 'length', 'height', 'length (cm)'] },
+  { key: 'perimetro_cefalico_cm', label: "Perímetro cefálico (cm)", aliases: ['perimetro_cefalico_cm', 'head_cm', 'perimetro cefalico', 'head', 'head circumference'] },
+  { key: 'unidad', label: "Unidad de la dosis", aliases: ['unidad', 'unit', 'units'] },
+];
+
+// { campo: índice de columna | -1 }
+export function guessMapping(columns){
+  const norm = columns.map(normalizeLabel);
+  return Object.fromEntries(IMPORT_FIELDS.map(f => [f.key, norm.findIndex(c => f.aliases.includes(c))]));
+}
+
+// Valor de "tipo" en el archivo → clave de tipo configurada (por clave o etiqueta), o null
+export function matchType(raw, types){
+  const n = normalizeLabel(raw);
+  return types.find(t => normalizeLabel(t.key) === n || normalizeLabel(t.label) === n)?.key ?? null;
+}
+
+// Fecha/hora en ISO (con o sin zona) o día primero "dd/mm/aaaa hh:mm[:ss]" (mes primero si el
+// segundo número pasa de 12). Sin zona se interpreta como hora local. Devuelve ISO o null.
+export function parseDateTime(s){
+  const str = String(s ?? '').trim();
+  const okClock = (h, min, sec) => h < 24 && min < 60 && sec < 60;
+  let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (m){
+    if (m[7]){ const d = new Date(str.replace(' ', 'T')); return Number.isNaN(d.getTime()) ? null : d.toISOString(); }
+    if (!okClock(+(m[4] ?? 0), +(m[5] ?? 0), +(m[6] ?? 0))) return null;
+    const d = new Date(+m[1], m[2]-1, +m[3], +(m[4] ?? 0), +(m[5] ?? 0), +(m[6] ?? 0));
+    return d.getMonth() === m[2]-1 ? d.toISOString() : null;
+  }
+  m = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap]\.?\s?m\.?)?)?$/i);
+  if (m){
+    let [day, month] = [+m[1], +m[2]];
+    if (month > 12 && day <= 12) [day, month] = [month, day];
+    const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    let hour = +(m[4] ?? 0);
+    if (m[7]){ const pm = /^p/i.test(m[7]); hour = (hour % 12) + (pm ? 12 : 0); }
+    if (!okClock(hour, +(m[5] ?? 0), +(m[6] ?? 0))) return null;
+    const d = new Date(year, month-1, day, hour, +(m[5] ?? 0), +(m[6] ?? 0));
+    return d.getMonth() === month-1 && d.getDate() === day ? d.toISOString() : null;
+  }
+  return null;
+}
+
+// "120", "120,5" o "120 ml" → "120" / "120.5"; undefined si está vacío, NaN si no es número
+const cleanAmount = (s) => {
+  const m = String(s ?? '').trim().match(/^(-?\d+(?:[.,]\d+)?)\s*[a-zA-Z]*$/);
+  return m ? parseAmount(m[1]) : parseAmount(s);
+};
+
+// Clasifica los registros del archivo en válidos, duplicados y rechazados (con motivo).
+// typeMap: valor crudo de "tipo" → clave de tipo (null = rechazar)
+// existingFor(perfil): historial contra el que se buscan duplicados (mismo id o mismo tipo y minuto)
+export function buildImport(records, mapping, typeMap, types, existingFor, now = Date.now()){
+  const res = { valid: [], duplicates: [], rejected: [], measurements: [] };
+  const slot = (e) => `${e.type}|${Math.floor(new Date(e.time).getTime()/60000)}`;
+  const seen = {};
+  const seenFor = (profile) => seen[profile ?? ''] ??= (() => {
+    const list = existingFor(profile);
+    return { ids: new Set(list.map(e => e.id)), slots: new Set(list.map(slot)) };
+  })();
+  for (const { line, cells } of records){
+    const get = (k) => mapping[k] >= 0 ? String(cells[mapping[k]] ?? '').trim() : '';
+    const reject = (reason) => res.rejected.push({ line, reason, raw: cells.join(' | ') });
+    const rawType = get('tipo');
+    const type = typeMap[rawType];
+    if (!rawType){ reject(tr("Sin tipo")); continue; }
+    const measurement = isMeasurementType(rawType);
+    if (!type && !measurement){ reject(tr('Tipo desconocido: "{value}"', { value: rawType })); continue; }
+    const rawTime = get('fecha') ? `${get('fecha')} ${get('hora')}`.trim() : get('hora');
+    const time = parseDateTime(rawTime);
+    if (!time){ reject(tr('Hora inválida: "{value}"', { value: rawTime })); continue; }
+    if (measurement){
+      const m = { id: get('id') || crypto.randomUUID(), time, notes: get('notas'),
+        weight: cleanAmount(get('peso_kg')), length: cleanAmount(get('longitud_cm')), head: cleanAmount(get('perimetro_cefalico_cm')) };
+      const error = validateMeasurement(m, now);
+      if (error){ reject(error); continue; }
+      res.measurements.push({ line, measurement: normalizeMeasurement(m), profile: get('perfil') || undefined });
+      continue;
+    }
+    const end = get('fin') ? parseDateTime(get('fin')) : undefined;
+    if (end === null){ reject(tr('Fin inválido: "{value}"', { value: get('fin') })); continue; }
+    const amount = cleanAmount(get('cantidad'));
+    if (Number.isNaN(amount)){ reject(tr('Cantidad no numérica: "{value}"', { value: get('cantidad') })); continue; }
+    const entry = { id: get('id') || crypto.randomUUID(), type, time, end, amount: amount === undefined ? undefined : String(amount), notes: get('notas'), unit: get('unidad') || undefined };
+    if (get('lado')){
+      if (!SIDES[get('lado')]){ reject(tr('Lado inválido: "{value}"', { value: get('lado') })); continue; }
+      entry.side = get('lado');
+      entry.lastSide = SIDES[get('ultimo_lado')] && get('ultimo_lado') !== 'ambos' ? get('ultimo_lado') : undefined;
+      entry.durations = { izquierdo: Number(get('seg_izquierdo')) || 0, derecho: Number(get('seg_derecho')) || 0 };
+    }
+    const error = validateEntry(entry, types, now);
+    if (error){ reject(error); continue; }
+    const clean = normalizeEntry(entry);
+    const profile = get('perfil') || undefined;
+    const { ids, slots } = seenFor(profile);
+    if (ids.has(clean.id) || slots.has(slot(clean))){ res.duplicates.push({ line, entry: clean }); continue; }
+    ids.add(clean.id); slots.add(slot(clean));
+    res.valid.push({ line, entry: clean, profile });
+  }
+  return res;
+}
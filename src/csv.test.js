@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import { buildImport, CSV_HEADER, guessMapping, matchType, parseCSV, parseDateTime, toCSV } from './csv.js';
+import { MEASUREMENT_TYPE } from './growth.js';
+import { DEFAULT_TYPES } from './types.js';
+import { setLocale } from './i18n.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z').getTime();
+const importAll = (text, existing = []) => {
+  const csv = parseCSV(text);
+  const typeMap = Object.fromEntries(DEFAULT_TYPES.map(t => [t.key, t.key]));
+  return buildImport(csv.records, guessMapping(csv.columns), typeMap, DEFAULT_TYPES, () => existing, NOW);
+};
+
+describe('toCSV y parseCSV', () => {
+  it('ida y vuelta conserva todos los campos', () => {
+    const rows = [
+      { id: 'a1', type: 'leche', time: '2026-03-10T08:00:00.000Z', amount: '120', notes: 'con "comillas", y coma', profile: 'Ana' },
+      { id: 'a2', type: 'leche', time: '2026-03-10T10:00:00.000Z', side: 'ambos', lastSide: 'derecho', durations: { izquierdo: 300, derecho: 420 } },
+      { id: 's1', type: 'sueno', time: '2026-03-10T09:00:00.000Z', end: '2026-03-10T09:45:00.000Z', notes: 'dos\nlíneas' },
+      { id: 'v1', type: 'vitamina', time: '2026-03-10T09:05:00.000Z', amount: '5', unit: 'gotas' },
+    ];
+    const { valid, rejected } = importAll(toCSV(rows));
+    expect(rejected).toEqual([]);
+    const back = Object.fromEntries(valid.map(v => [v.entry.id, { ...v.entry, profile: v.profile }]));
+    expect(back.a1).toMatchObject({ type: 'leche', time: rows[0].time, amount: '120', notes: rows[0].notes, profile: 'Ana' });
+    expect(back.a2).toMatchObject({ side: 'ambos', lastSide: 'derecho', durations: { izquierdo: 300, derecho: 420 } });
+    expect(back.s1).toMatchObject({ end: rows[2].end, notes: 'dos\nlíneas' });
+    expect(back.v1.unit).toBe('gotas');
+  });
+
+  it('el encabezado es fijo, sin importar el idioma', () => {
+    setLocale('en');
+    const [header] = toCSV([{ id: 'a1', type: 'leche', time: '2026-03-10T08:00:00.000Z' }]).split('\n');
+    expect(header).toBe(CSV_HEADER.join(','));
+    expect(header).toMatch(/^id,type,time,amount,notes,/);
+  });
+
+  it('acepta BOM, ";" y notas multilínea', () => {
+    const csv = parseCSV('\uFEFFid;tipo;hora;cantidad;notas\r\nx1;leche;2026-01-01T10:00:00.000Z;90 ml;"dos\nlíneas"\r\nx2;Biberón;02/01/2026 08:00;;\r\n');
+    expect(csv.delimiter).toBe(';');
+    expect(csv.columns[0]).toBe('id');
+    expect(csv.records).toHaveLength(2);
+    expect(csv.records[0].cells[4]).toBe('dos\nlíneas');
+    expect(csv.records[1].line).toBe(4);
+  });
+});
+
+describe('buildImport', () => {
+  it('separa duplicados y tipos desconocidos', () => {
+    const csv = parseCSV('id;tipo;hora;cantidad\nx1;leche;2026-01-01T10:00:00.000Z;90 ml\nx2;Biberón;02/01/2026 08:00;\n');
+    const imp = buildImport(csv.records, guessMapping(csv.columns), { leche: 'leche' }, DEFAULT_TYPES, () => [{ id: 'x1' }], NOW);
+    expect(imp.duplicates).toHaveLength(1);
+    expect(imp.rejected[0].reason).toContain('Biberón');
+  });
+
+  it('detecta el mismo tipo en el mismo minuto como duplicado', () => {
+    const existing = [{ id: 'otro', type: 'leche', time: '2026-03-10T08:00:20.000Z' }];
+    const imp = importAll('id,tipo,hora\nn1,leche,2026-03-10T08:00:40.000Z\n', existing);
+    expect(imp.duplicates).toHaveLength(1);
+    expect(imp.valid).toHaveLength(0);
+  });
+
+  it('rechaza horas y cantidades inválidas con la línea del archivo', () => {
+    const imp = importAll('tipo,hora,cantidad\nleche,ayer,90\nleche,2026-03-10 08:00,mucho\n');
+    expect(imp.rejected.map(r => r.line)).toEqual([2, 3]);
+    expect(imp.rejected[1].reason).toMatch(/Cantidad/);
+  });
+
+  it('los archivos con el encabezado anterior en español se siguen importando', () => {
+    const imp = importAll('id,tipo,hora,cantidad,notas,lado,ultimo_lado,seg_izquierdo,seg_derecho\nv1,leche,2026-03-10T08:00:00.000Z,90,ok,ambos,derecho,300,420\n');
+    expect(imp.rejected).toEqual([]);
+    expect(imp.valid[0].entry).toMatchObject({ amount: '90', notes: 'ok', lastSide: 'derecho', durations: { izquierdo: 300, derecho: 420 } });
+  });
+
+  it('reconoce medidas de crecimiento', () => {
+    const imp = importAll(toCSV([{ id: 'g1', type: MEASUREMENT_TYPE, time: '2026-03-01T10:00:00.000Z', weight: 4.2, head: 38 }]));
+    expect(imp.measurements[0].measurement).toMatchObject({ weight: 4.2, head: 38 });
+    expect(imp.rejected).toEqual([]);
+  });
+});
+
+describe('parseDateTime y matchType', () => {
+  it('acepta día primero y rechaza fechas imposibles', () => {
+    expect(parseDateTime('31/01/2026 08:00')).toBe(new Date(2026, 0, 31, 8).toISOString());
+    expect(parseDateTime('31/02/2026 08:00')).toBeNull();
+    expect(parseDateTime('01/31/2026 8:00 pm')).toBe(new Date(2026, 0, 31, 20).toISOString());
+    expect(parseDateTime('2026-01-31T08:00:00Z')).toBe('2026-01-31T08:00:00.000Z');
+  });
+
+  it('matchType reconoce clave o etiqueta sin acentos', () => {
+    expect(matchType('PAÑAL', DEFAULT_TYPES)).toBe('panal');
+    expect(matchType('Sueno', DEFAULT_TYPES)).toBe('sueno');
+    expect(matchType('Biberón', DEFAULT_TYPES)).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+// Registros: último por tipo, próximo horario, validación y deshacer
+import { collectIntervals, predictNext } from "./prediction.js";
+import { parseAmount, sortByTimeDesc } from "./utils.js";
+import { medNextDue } from "./medications.js";
+import { tr } from "./i18n.js";
+
+export function computeLastByType(entries, types){
+  const map = Object.fromEntries(types.map(t => [t.key, null]));
+  const sorted = [...entries].sort((a,b)=> new Date(b.time)-new Date(a.time));
+  for (const e of sorted){ if (e.type in map && !map[e.type]) map[e.type] = e; }
+  return map; // { key: entry|null }
+}
+
+// predictions = resultado de computePredictions; los tipos adaptativos con predicción la usan en lugar del intervalo
+export function computeNextDue(lastByType, types, now = Date.now(), predictions = {}){
+  const res = Object.fromEntries(types.map(t => [t.key, null]));
+  for (const t of types){
+    if (t.kind === 'med'){ res[t.key] = medNextDue(t, lastByType?.[t.key]?.time, now); continue; }
+    if (isAdaptive(t) && predictions[t.key]){ res[t.key] = predictions[t.key].due; continue; }
+    // Sueño: cuenta el tiempo despierto desde que terminó el último tramo (en curso = sin próximo)
+    const last = t.kind === 'sleep' ? lastByType?.[t.key]?.end : lastByType?.[t.key]?.time;
+    const hours = Number(t.interval || 0);
+    if (last && hours>0){
+      const due = new Date(new Date(last).getTime() + hours*3600*1000).toISOString();
+      res[t.key] = due;
+    }
+  }
+  return res; // { key: iso|null }
+}
+
+const isAdaptive = (t) => t.predict === 'adaptive' && t.kind !== 'med';
+
+// Predicción de los tipos adaptativos: { key: { due, low, high (iso), samples } } (sin clave = sin datos suficientes)
+export function computePredictions(entries, types, now = Date.now()){
+  const res = {};
+  for (const t of types.filter(isAdaptive)){
+    const own = entries.filter(e => e.type === t.key);
+    const events = own.map(e => ({ start: new Date(e.time).getTime(), end: e.end ? new Date(e.end).getTime() : undefined }));
+    const last = sortByTimeDesc(own)[0];
+    // Sueño en curso: no hay próxima siesta que predecir
+    const anchor = t.kind === 'sleep' ? (last?.end ? new Date(last.end).getTime() : NaN) : new Date(last?.time).getTime();
+    const p = predictNext(collectIntervals(events, { fromEnd: t.kind === 'sleep' }), anchor, now);
+    if (p) res[t.key] = { due: new Date(p.due).toISOString(), low: new Date(p.low).toISOString(), high: new Date(p.high).toISOString(), samples: p.samples };
+  }
+  return res;
+}
+
+// Devuelve un mensaje de error o null si el registro es válido. Al editar (prev = registro guardado)
+// se acepta el tipo que ya tenía aunque se haya eliminado, para poder corregir registros viejos
+export function validateEntry(entry, types, now = Date.now(), prev){
+  if (!types.some(t => t.key === entry.type) && entry.type !== prev?.type) return tr("Tipo desconocido");
+  const t = new Date(entry.time).getTime();
+  if (!entry.time || Number.isNaN(t)) return tr("Hora inválida");
+  if (t > now + 60*1000) return tr("La hora no puede estar en el futuro");
+  if (entry.end){
+    const end = new Date(entry.end).getTime();
+    if (Number.isNaN(end)) return tr("Hora de fin inválida");
+    if (end < t) return tr("El fin no puede ser anterior al inicio");
+    if (end > now + 60*1000) return tr("El fin no puede estar en el futuro");
+  }
+  const amount = parseAmount(entry.amount);
+  if (Number.isNaN(amount)) return tr("La cantidad debe ser un número");
+  if (amount !== undefined && amount < 0) return tr("La cantidad no puede ser negativa");
+  return null;
+}
+
+export function normalizeEntry(entry){
+  const amount = parseAmount(entry.amount);
+  const notes = String(entry.notes ?? "").trim();
+  return { ...entry, amount: amount === undefined ? undefined : String(amount), notes: notes || undefined };
+}
+
+// Aplica la operación inversa guardada en lastAction.undo
+export function applyUndo(entries, undo){
+  if (undo.kind === 'remove') return entries.filter(x=>x.id!==undo.id);
+  if (undo.kind === 'restore') return sortByTimeDesc([...entries.filter(x=>x.id!==undo.entry.id), undo.entry]);
+  if (undo.kind === 'set') return undo.entries;
+  return entries;
+}
@@ -0,0 +1,115 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { applyUndo, computeLastByType, computeNextDue, computePredictions, normalizeEntry, validateEntry } from './entries.js';
+import { DEFAULT_TYPES } from './types.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z').getTime();
+const ago = (h) => new Date(NOW - h*3600*1000).toISOString();
+const mock = [
+  { id: 'a1', type: 'leche', time: ago(2), amount: '90' },
+  { id: 'a2', type: 'leche', time: ago(1), amount: '120' },
+  { id: 'b1', type: 'simeticona', time: ago(7) },
+  { id: 'c1', type: 'panal', time: ago(0.5) },
+];
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+});
+
+describe('computeLastByType', () => {
+  it('devuelve el registro más reciente de cada tipo', () => {
+    const lb = computeLastByType(mock, DEFAULT_TYPES);
+    expect(lb.leche.id).toBe('a2');
+    expect(lb.simeticona.id).toBe('b1');
+    expect(lb.panal.id).toBe('c1');
+    expect(lb.sueno).toBeNull();
+  });
+
+  it('ignora registros de tipos que ya no existen', () => {
+    expect(computeLastByType([{ id: 'x', type: 'borrado', time: ago(1) }], DEFAULT_TYPES)).not.toHaveProperty('borrado');
+  });
+});
+
+describe('computeNextDue', () => {
+  it('suma el intervalo del tipo a la última vez', () => {
+    const nd = computeNextDue(computeLastByType(mock, DEFAULT_TYPES), DEFAULT_TYPES);
+    expect(nd.leche).toBe(new Date(NOW + 2*3600*1000).toISOString());
+    expect(nd.simeticona).toBe(new Date(NOW - 3600*1000).toISOString());
+    expect(nd.panal).toBe(new Date(NOW + 2.5*3600*1000).toISOString());
+  });
+
+  it('sin registros o sin intervalo no hay próximo', () => {
+    const types = DEFAULT_TYPES.map(t => t.key === 'panal' ? { ...t, interval: 0 } : t);
+    const nd = computeNextDue(computeLastByType(mock, types), types);
+    expect(nd.panal).toBeNull();
+    expect(nd.sueno).toBeNull();
+  });
+
+  it('en sueño cuenta desde que despertó y no hay próximo mientras duerme', () => {
+    const sleeps = [{ id: 's1', type: 'sueno', time: ago(3), end: ago(1) }];
+    expect(computeNextDue(computeLastByType(sleeps, DEFAULT_TYPES), DEFAULT_TYPES).sueno).toBe(new Date(NOW + 0.5*3600*1000).toISOString());
+    const asleep = [{ id: 's2', type: 'sueno', time: ago(1) }];
+    expect(computeNextDue(computeLastByType(asleep, DEFAULT_TYPES), DEFAULT_TYPES).sueno).toBeNull();
+  });
+});
+
+describe('predicción adaptativa', () => {
+  const adaptive = DEFAULT_TYPES.map(t => t.key === 'leche' ? { ...t, predict: 'adaptive' } : t);
+  // Tomas cada 2,5 h más un hueco de 9 h que es atípico
+  const feedTimes = [0, 2.5, 5, 7.5, 10, 19, 21.5, 24].map(h => NOW - (24 - h)*3600*1000);
+  const feeds = feedTimes.map((ms, i) => ({ id: `p${i}`, type: 'leche', time: new Date(ms).toISOString() }));
+
+  it('descarta atípicos y promedia los intervalos', () => {
+    const pred = computePredictions(feeds, adaptive).leche;
+    expect(new Date(pred.due).getTime()).toBeCloseTo(NOW + 2.5*3600*1000, -4);
+    expect(new Date(pred.low).getTime()).toBeLessThan(new Date(pred.due).getTime());
+    expect(new Date(pred.high).getTime()).toBeGreaterThan(new Date(pred.due).getTime());
+  });
+
+  it('computeNextDue usa la predicción en tipos adaptativos', () => {
+    const predictions = computePredictions(feeds, adaptive);
+    expect(computeNextDue(computeLastByType(feeds, adaptive), adaptive, NOW, predictions).leche).toBe(predictions.leche.due);
+  });
+
+  it('sin historial suficiente (o en modo fijo) usa el intervalo fijo', () => {
+    expect(computePredictions(feeds.slice(-3), adaptive).leche).toBeUndefined();
+    expect(computePredictions(feeds, DEFAULT_TYPES).leche).toBeUndefined();
+    expect(computeNextDue(computeLastByType(feeds.slice(-3), adaptive), adaptive, NOW, {}).leche).toBe(new Date(NOW + 3*3600*1000).toISOString());
+  });
+});
+
+describe('validateEntry', () => {
+  it('rechaza hora futura, fin anterior al inicio y cantidades inválidas', () => {
+    expect(validateEntry({ type: 'leche', time: ago(-1) }, DEFAULT_TYPES)).toMatch(/futuro/);
+    expect(validateEntry({ type: 'sueno', time: ago(1), end: ago(2) }, DEFAULT_TYPES)).toMatch(/anterior/);
+    expect(validateEntry({ type: 'leche', time: ago(1), amount: 'abc' }, DEFAULT_TYPES)).toMatch(/número/);
+    expect(validateEntry({ type: 'leche', time: ago(1), amount: '-5' }, DEFAULT_TYPES)).toMatch(/negativa/);
+    expect(validateEntry({ type: 'otro', time: ago(1) }, DEFAULT_TYPES)).toBe('Tipo desconocido');
+  });
+
+  it('al editar acepta el tipo que el registro ya tenía aunque se haya eliminado', () => {
+    const prev = { id: 'x', type: 'bano', time: ago(3) };
+    expect(validateEntry({ ...prev, notes: 'ok' }, DEFAULT_TYPES, NOW, prev)).toBeNull();
+    expect(validateEntry({ ...prev, type: 'otro' }, DEFAULT_TYPES, NOW, prev)).toBe('Tipo desconocido');
+  });
+
+  it('acepta un registro atrasado con coma decimal', () => {
+    expect(validateEntry({ type: 'leche', time: ago(2), amount: '90,5' }, DEFAULT_TYPES)).toBeNull();
+  });
+});
+
+describe('normalizeEntry y applyUndo', () => {
+  it('normalizeEntry limpia cantidad y notas vacías', () => {
+    const e = normalizeEntry({ id: 'n1', type: 'leche', time: ago(1), amount: ' 90,5 ', notes: '  ' });
+    expect(e.amount).toBe('90.5');
+    expect(e.notes).toBeUndefined();
+  });
+
+  it('applyUndo quita un alta, restaura una edición y vuelve a una lista anterior', () => {
+    expect(applyUndo(mock, { kind: 'remove', id: 'c1' }).map(e => e.id)).not.toContain('c1');
+    const edited = applyUndo(mock, { kind: 'restore', entry: { ...mock[1], amount: '60' } });
+    expect(edited.find(x => x.id === 'a2').amount).toBe('60');
+    expect(edited).toHaveLength(mock.length);
+    expect(applyUndo(mock, { kind: 'set', entries: [] })).toEqual([]);
+  });
+});
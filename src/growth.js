@@ -0,0 +1,54 @@
+// Crecimiento: medidas, unidades y percentiles OMS
+// medida = { id, time, weight (kg), length (cm), head (cm), notes }; se guarda en unidades base
+// (las etiquetas de MEASURES se traducen al mostrarlas)
+import { DAYS_PER_MONTH, lmsAt, percentileFromZ, zScore } from "./who-growth.js";
+import { fromDateKey, normalizeLabel, parseAmount } from "./utils.js";
+import { tr } from "./i18n.js";
+
+export const MEASUREMENT_TYPE = "medida";
+export const isMeasurementType = (raw) => normalizeLabel(raw) === MEASUREMENT_TYPE;
+export const MEASURES = {
+  weight: { label: "Peso", emoji: "⚖️", color: "#2563eb" },
+  length: { label: "Longitud", emoji: "📏", color: "#16a34a" },
+  head: { label: "Perímetro cefálico", emoji: "🧠", color: "#9333ea" },
+};
+// Factor desde la unidad base (kg o cm) y decimales a mostrar
+const WEIGHT_UNITS = { kg: { factor: 1, digits: 3 }, g: { factor: 1000, digits: 0 }, lb: { factor: 2.20462, digits: 2 } };
+const LENGTH_UNITS = { cm: { factor: 1, digits: 1 }, in: { factor: 1/2.54, digits: 2 } };
+export const unitsFor = (key) => key === 'weight' ? WEIGHT_UNITS : LENGTH_UNITS;
+
+export const toBase = (value, unit, key) => { const n = parseAmount(value); return n === undefined || Number.isNaN(n) ? n : n / unitsFor(key)[unit].factor; };
+export const fromBase = (value, unit, key) => { const u = unitsFor(key)[unit]; return Number((value * u.factor).toFixed(u.digits)); };
+
+export function validateMeasurement(m, now = Date.now()){
+  const t = new Date(m.time).getTime();
+  if (!m.time || Number.isNaN(t)) return tr("Fecha inválida");
+  if (t > now + 60*1000) return tr("La fecha no puede estar en el futuro");
+  const values = Object.keys(MEASURES).map(k => m[k]);
+  if (values.some(v => Number.isNaN(v))) return tr("Las medidas deben ser números");
+  if (values.some(v => v !== undefined && v <= 0)) return tr("Las medidas deben ser mayores que cero");
+  if (values.every(v => v === undefined)) return tr("Ingrese al menos una medida");
+  return null;
+}
+
+export function normalizeMeasurement(m){
+  const notes = String(m.notes ?? "").trim();
+  const out = { id: m.id, time: m.time, notes: notes || undefined };
+  for (const k of Object.keys(MEASURES)) if (m[k] !== undefined) out[k] = Number(Number(m[k]).toFixed(3));
+  return out;
+}
+
+// Edad en meses (fraccionarios) al momento de la medida; null sin fecha de nacimiento
+export function ageInMonths(birthDate, time){
+  if (!birthDate) return null;
+  const days = (new Date(time) - fromDateKey(birthDate)) / (24*3600*1000);
+  return days < 0 ? null : days / DAYS_PER_MONTH;
+}
+
+// Percentil OMS de una medida (0–100) o null si falta sexo/nacimiento o está fuera de 0–24 meses
+export function growthPercentile(key, value, sex, birthDate, time){
+  const lms = value === undefined ? null : lmsAt(key, sex, ageInMonths(birthDate, time));
+  return lms ? percentileFromZ(zScore(lms, value)) : null;
+}
+
+export const fmtPercentile = (p) => p === null ? "—" : p < 1 ? "<P1" : p > 99 ? ">P99" : `P${Math.round(p)}`;
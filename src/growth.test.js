@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { ageInMonths, fmtPercentile, fromBase, growthPercentile, isMeasurementType, normalizeMeasurement, toBase, validateMeasurement } from './growth.js';
+import { DAYS_PER_MONTH } from './who-growth.js';
+import { addDays, dateKey } from './utils.js';
+
+const NOW = new Date(2026, 2, 10, 12);
+const birth = dateKey(addDays(NOW, -Math.round(12*DAYS_PER_MONTH)));
+
+describe('percentiles OMS', () => {
+  it('la mediana OMS de un niño de 12 meses da P50', () => {
+    expect(Math.round(growthPercentile('weight', 9.6479, 'm', birth, NOW.toISOString()))).toBe(50);
+    expect(ageInMonths(birth, NOW.toISOString())).toBeCloseTo(12, 1);
+  });
+
+  it('sin sexo, sin nacimiento o fuera de 0–24 meses no hay percentil', () => {
+    expect(growthPercentile('weight', 9.6, '', birth, NOW.toISOString())).toBeNull();
+    expect(growthPercentile('weight', 9.6, 'm', '', NOW.toISOString())).toBeNull();
+    expect(growthPercentile('weight', 12, 'm', '2020-01-01', NOW.toISOString())).toBeNull();
+  });
+
+  it('fmtPercentile marca los extremos', () => {
+    expect(fmtPercentile(null)).toBe('—');
+    expect(fmtPercentile(0.4)).toBe('<P1');
+    expect(fmtPercentile(99.6)).toBe('>P99');
+    expect(fmtPercentile(49.6)).toBe('P50');
+  });
+});
+
+describe('unidades y validación', () => {
+  it('toBase convierte g y lb a kg; fromBase vuelve a la unidad elegida', () => {
+    expect(toBase('4500', 'g', 'weight')).toBe(4.5);
+    expect(toBase('10', 'lb', 'weight')).toBeCloseTo(4.536, 3);
+    expect(fromBase(50, 'in', 'length')).toBe(19.69);
+  });
+
+  it('validateMeasurement exige al menos una medida positiva y fecha pasada', () => {
+    const time = NOW.toISOString();
+    expect(validateMeasurement({ time }, NOW.getTime())).toMatch(/al menos una/);
+    expect(validateMeasurement({ time, weight: -1 }, NOW.getTime())).toMatch(/mayores que cero/);
+    expect(validateMeasurement({ time: addDays(NOW, 1).toISOString(), weight: 4 }, NOW.getTime())).toMatch(/futuro/);
+    expect(validateMeasurement({ time, head: 38 }, NOW.getTime())).toBeNull();
+  });
+
+  it('normalizeMeasurement redondea y descarta notas vacías', () => {
+    expect(normalizeMeasurement({ id: 'm1', time: 't', weight: 4.12345, notes: ' ' })).toEqual({ id: 'm1', time: 't', weight: 4.123, notes: undefined });
+    expect(isMeasurementType(' Medida ')).toBe(true);
+  });
+});
@@ -0,0 +1,42 @@
+// Modo noche / cuidador: lo que toca a continuación y el resumen en texto para el relevo
+import { dateKey, fmtClock, fmtDate } from "./utils.js";
+import { fmtAmount } from "./units.js";
+import { describeNursing } from "./nursing.js";
+import { tr } from "./i18n.js";
+
+// Cuánto hay que mantener presionado para salir del modo noche
+export const UNLOCK_HOLD_MS = 1500;
+
+// Tipos con próximo registro calculado (nextDue), del más urgente al más lejano
+export function dueList(types, nextDue){
+  return types
+    .filter(t => nextDue[t.key])
+    .map(t => ({ type: t, due: nextDue[t.key] }))
+    .sort((a, b) => new Date(a.due) - new Date(b.due));
+}
+
+// Cantidad que se ofrece en el botón grande: la del último registro o, si no hay, la del campo rápido
+export const nightAmount = (type, last, quickAmount) => String(last?.amount ?? quickAmount?.[type.key] ?? "");
+
+// Hora corta; con el día si no es de hoy
+const when = (iso, now) => dateKey(iso) === dateKey(now)
+  ? fmtClock(iso)
+  : `${fmtDate(iso, { day: 'numeric', month: 'short' })} ${fmtClock(iso)}`;
+
+// "🍼 Leche: 14:20, 120 ml · toca 17:20", una línea por tipo, para copiar o compartir
+export function handoffSummary({ name, types, lastByType, nextDue, volumeUnit, now = Date.now() }){
+  const lines = [tr("{name} · resumen de las {time}", { name, time: fmtClock(now) })];
+  for (const t of types){
+    const e = lastByType[t.key];
+    let text;
+    if (!e) text = tr("sin registros");
+    else if (t.kind === 'sleep') text = e.end ? tr("se despertó {time}", { time: when(e.end, now) }) : tr("durmiendo desde {time}", { time: when(e.time, now) });
+    else if (e.amount) text = `${when(e.time, now)}, ${fmtAmount(e.amount, e.unit ?? t.unit, volumeUnit)}`;
+    else if (e.side) text = `${when(e.time, now)}, ${describeNursing(e)}`;
+    else text = when(e.time, now);
+    const due = nextDue[t.key];
+    const next = due ? ` · ${tr(new Date(due).getTime() <= now ? "tocaba {time}" : "toca {time}", { time: when(due, now) })}` : "";
+    lines.push(`${t.emoji} ${t.label}: ${text}${next}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { dueList, handoffSummary, nightAmount } from './handoff.js';
+import { DEFAULT_TYPES } from './types.js';
+
+const at = (d, h, m = 0) => new Date(2026, 2, d, h, m).toISOString();
+const NOW = new Date(at(10, 15, 30)).getTime();
+const [leche, simeticona, vitamina, panal, sueno] = DEFAULT_TYPES;
+
+describe('dueList', () => {
+  it('ordena del más urgente al más lejano y omite los que no tienen próximo', () => {
+    const list = dueList(DEFAULT_TYPES, { leche: at(10, 17, 20), vitamina: at(11, 9), panal: at(10, 15), simeticona: null, sueno: null });
+    expect(list.map(d => d.type.key)).toEqual(['panal', 'leche', 'vitamina']);
+  });
+});
+
+describe('nightAmount', () => {
+  it('ofrece la cantidad del último registro y si no la del campo rápido', () => {
+    expect(nightAmount(leche, { amount: '120' }, { leche: '90' })).toBe('120');
+    expect(nightAmount(leche, null, { leche: '90' })).toBe('90');
+    expect(nightAmount(leche, null, {})).toBe('');
+  });
+});
+
+describe('handoffSummary', () => {
+  const lastByType = {
+    leche: { id: 'l', type: 'leche', time: at(10, 14, 20), amount: '120' },
+    simeticona: null,
+    vitamina: { id: 'v', type: 'vitamina', time: at(9, 9), amount: '5', unit: 'gotas' },
+    panal: { id: 'p', type: 'panal', time: at(10, 15, 5) },
+    sueno: { id: 's', type: 'sueno', time: at(10, 13) },
+  };
+  const nextDue = { leche: at(10, 17, 20), simeticona: null, vitamina: at(10, 9), panal: at(10, 18, 5), sueno: null };
+  const text = handoffSummary({ name: 'Ana', types: DEFAULT_TYPES, lastByType, nextDue, volumeUnit: 'ml', now: NOW });
+  const lines = text.split('\n');
+
+  it('una línea por tipo con la última vez, la cantidad y lo que toca', () => {
+    expect(lines[0]).toBe('Ana · resumen de las 15:30');
+    expect(lines).toHaveLength(DEFAULT_TYPES.length + 1);
+    expect(lines[1]).toBe(`${leche.emoji} Leche: 14:20, 120 ml · toca 17:20`);
+    expect(lines[2]).toBe(`${simeticona.emoji} Simeticona: sin registros`);
+    expect(lines[4]).toBe(`${panal.emoji} Pañal: 15:05 · toca 18:05`);
+    expect(lines[5]).toBe(`${sueno.emoji} Sueño: durmiendo desde 13:00`);
+  });
+
+  it('marca lo atrasado y agrega el día a lo que no es de hoy', () => {
+    expect(lines[3]).toMatch(new RegExp(`^${vitamina.emoji} Vitamina: 9 mar\\.? 09:00, 5 gotas · tocaba 09:00$`));
+  });
+
+  it('las cantidades salen en la unidad preferida', () => {
+    const oz = handoffSummary({ name: 'Ana', types: [leche], lastByType, nextDue, volumeUnit: 'oz', now: NOW });
+    expect(oz).toContain('14:20, 4.1 oz');
+  });
+});
@@ -0,0 +1,34 @@
+// Idiomas de la interfaz. Los textos se escriben en español en el código y tr() los traduce:
+// messages = { "texto en español": "traducción" }; lo que falta en un diccionario queda en español.
+// Para agregar un idioma (p. ej. guaraní) se suma su diccionario en locales/ y una entrada en LOCALES;
+// intl es la configuración regional para fechas y horas (los navegadores no traen datos de "gn", por
+// eso se usaría "es-PY").
+import en from "./locales/en.js";
+
+export const LOCALES = {
+  es: { name: "Español", intl: 'es', messages: {} },
+  en: { name: "English", intl: 'en', messages: en },
+};
+export const DEFAULT_LOCALE = 'es';
+
+// Idioma actual a nivel de módulo: lo fija App al renderizar, así la lógica pura (validaciones,
+// descripciones, avisos) también traduce sin recibir el idioma por parámetro
+let current = DEFAULT_LOCALE;
+export const getLocale = () => current;
+export const setLocale = (code) => { current = LOCALES[code] ? code : DEFAULT_LOCALE; };
+export const intlLocale = () => LOCALES[current].intl;
+
+// tr("Importar {n}", { n: 3 }) → "Import 3"
+export function tr(text, vars){
+  const s = LOCALES[current].messages[text] ?? text;
+  return vars ? s.replace(/\{(\w+)\}/g, (m, k) => k in vars ? String(vars[k]) : m) : s;
+}
+
+// Primer idioma del navegador que la app conoce (por idioma base: "en-US" → "en")
+export function detectLocale(languages = typeof navigator !== 'undefined' ? navigator.languages ?? [navigator.language] : []){
+  for (const lang of languages ?? []){
+    const base = String(lang ?? '').toLowerCase().split('-')[0];
+    if (LOCALES[base]) return base;
+  }
+  return DEFAULT_LOCALE;
+}
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { detectLocale, getLocale, LOCALES, setLocale, tr } from './i18n.js';
+import { fmtTime } from './utils.js';
+import { KINDS } from './types.js';
+import { SIDES } from './nursing.js';
+import { MEASURES } from './growth.js';
+import { IMPORT_FIELDS } from './csv.js';
+
+// Claves usadas en el código: los textos del primer argumento de cada tr(…), también los de un
+// ternario (se descartan los que se comparan, como t.kind === 'med')
+const sources = import.meta.glob(['./*.{js,jsx}', '!./*.test.*'], { query: '?raw', import: 'default', eager: true });
+const STRING = /^("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|`(?:[^`\\]|\\.)*`)/;
+function firstArg(src, i){
+  let depth = 0, out = "";
+  while (i < src.length){
+    const str = STRING.exec(src.slice(i, i + 2000));
+    if (str){ out += str[0]; i += str[0].length; continue; }
+    const c = src[i];
+    if ("([{".includes(c)) depth++;
+    else if (")]}".includes(c)){ if (!depth) break; depth--; }
+    else if (c === ',' && !depth) break;
+    out += c; i++;
+  }
+  return out;
+}
+const usedKeys = () => {
+  const keys = new Set();
+  for (const src of Object.values(sources)){
+    for (const m of src.matchAll(/\btr\(/g)){
+      for (const [, cmp, dq, sq] of firstArg(src, m.index + m[0].length).matchAll(/([=!]==\s*)?(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')/g)){
+        if (!cmp) keys.add((dq ?? sq).replace(/\\(["'])/g, '$1'));
+      }
+    }
+  }
+  return keys;
+};
+
+describe('tr', () => {
+  it('en español devuelve el texto con las variables reemplazadas', () => {
+    expect(tr("Importar {n}", { n: 3 })).toBe("Importar 3");
+    expect(tr("Texto sin traducción")).toBe("Texto sin traducción");
+  });
+
+  it('traduce al idioma elegido y deja en español lo que falta', () => {
+    setLocale('en');
+    expect(getLocale()).toBe('en');
+    expect(tr("Importar {n}", { n: 3 })).toBe("Import 3");
+    expect(tr("Texto sin traducción")).toBe("Texto sin traducción");
+  });
+
+  it('un idioma desconocido vuelve al español', () => {
+    setLocale('xx');
+    expect(getLocale()).toBe('es');
+  });
+
+  it('las fechas siguen el idioma', () => {
+    const d = new Date(2026, 2, 10, 15, 5);
+    expect(fmtTime(d)).toMatch(/15:05/);
+    setLocale('en');
+    expect(fmtTime(d)).toMatch(/3:05/);
+  });
+});
+
+describe('detectLocale', () => {
+  it('toma el primer idioma conocido del navegador', () => {
+    expect(detectLocale(['fr-FR', 'en-US', 'es'])).toBe('en');
+    expect(detectLocale(['es-PY'])).toBe('es');
+    expect(detectLocale(['gn'])).toBe('es');
+    expect(detectLocale([])).toBe('es');
+  });
+});
+
+describe('diccionarios', () => {
+  const constants = [
+    ...Object.values(KINDS), ...Object.values(SIDES), ...Object.values(MEASURES).map(m => m.label),
+    ...IMPORT_FIELDS.map(f => f.label), "Diaria",
+  ];
+
+  it.each(Object.keys(LOCALES).filter(code => code !== 'es'))('%s traduce todos los textos de la app', (code) => {
+    const { messages } = LOCALES[code];
+    expect(usedKeys().size).toBeGreaterThan(200);
+    const missing = [...usedKeys(), ...constants].filter(k => !(k in messages));
+    expect(missing).toEqual([]);
+  });
+
+  it.each(Object.keys(LOCALES).filter(code => code !== 'es'))('%s conserva las variables de cada texto', (code) => {
+    const vars = (s) => (s.match(/\{\w+\}/g) ?? []).sort();
+    const wrong = Object.entries(LOCALES[code].messages).filter(([k, v]) => vars(k).join() !== vars(v).join());
+    expect(wrong).toEqual([]);
+  });
+});
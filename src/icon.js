@@ -0,0 +1,11 @@
+// Ícono de la app (🍼 sobre fondo redondeado). Lo usan el favicon dinámico de App
+// y el plugin PWA de vite.config.js para generar los íconos del manifest.
+export const THEME_LIGHT = '#ffffff';
+export const THEME_DARK = '#111827';
+
+export function appIconSvg({ background = THEME_LIGHT, maskable = false } = {}){
+  // Los íconos "maskable" se recortan en círculo: sin bordes redondeados y emoji más chico
+  const rect = maskable ? `<rect width='64' height='64' fill='${background}'/>` : `<rect width='64' height='64' rx='14' fill='${background}'/>`;
+  const size = maskable ? 28 : 36;
+  return `<?xml version="1.0" encoding="UTF-8"?><svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 64 64'>${rect}<text x='50%' y='50%' dominant-baseline='middle' text-anchor='middle' font-size='${size}'>🍼</text></svg>`;
+}
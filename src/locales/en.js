@@ -0,0 +1,374 @@
+// Inglés. Clave: el texto en español tal como aparece en el código; las {variables} se conservan.
+export default {
+  // Inicio y registro
+  '¿Eliminar el perfil "{name}" y todo su historial?': 'Delete the profile "{name}" and all its history?',
+  "¿Cantidad de {label}?": "{label} amount?",
+  "¿Registrar la dosis igual?": "Log the dose anyway?",
+  "Registro editado": "Entry updated",
+  "Registro agregado": "Entry added",
+  "Registro eliminado": "Entry deleted",
+  "¿Descartar la toma en curso?": "Discard the current feed?",
+  '¿Eliminar el tipo "{label}"? Sus {count} registros se conservan en el historial. Para dejar de verlo sin borrarlo, usa "Oculto".':
+    'Delete the type "{label}"? Its {count} entries stay in the history. To stop seeing it without deleting it, use "Hidden".',
+  '¿Eliminar el tipo "{label}"?': 'Delete the type "{label}"?',
+  "Nombre del bebé": "Baby's name",
+  "Nombre de la bebé": "Baby's name",
+  "¿Borrar todo el historial? También se borrará en los teléfonos vinculados.": "Clear the whole history? It will also be cleared on linked phones.",
+  "¿Borrar todo el historial?": "Clear the whole history?",
+  "Antes de borrar el historial de {name}": "Before clearing {name}'s history",
+  "El archivo está vacío": "The file is empty",
+  "No se pudo leer el CSV": "Could not read the CSV",
+  "¿Reemplazar todo el historial de {name} con el archivo?": "Replace all of {name}'s history with the file?",
+  "Antes de importar {file}": "Before importing {file}",
+  "Importados {n} registros": "Imported {n} entries",
+  "¿Eliminar esta medida?": "Delete this measurement?",
+  "Antes de combinar el archivo de {name}": "Before merging the file from {name}",
+  "otro teléfono": "another phone",
+  "Combinados {n} registros": "Merged {n} entries",
+  "Registro rápido: {types}": "Quick log: {types}",
+  "Bebé": "Baby",
+  "➕ Nuevo bebé…": "➕ New baby…",
+  "☀️ Claro": "☀️ Light",
+  "🌙 Oscuro": "🌙 Dark",
+  'No se pudieron leer algunos datos guardados ({keys}). Se guardó una copia con el sufijo "{suffix}"; puede recuperar una instantánea en Horarios y preferencias → Copias de seguridad.':
+    'Some saved data could not be read ({keys}). A copy was kept with the suffix "{suffix}"; you can recover a snapshot in Schedules and preferences → Backups.',
+  "No se pudieron pasar los datos guardados al formato de esta versión; algunos podrían no verse. Descargue una copia completa en Horarios y preferencias → Copias de seguridad antes de seguir registrando.":
+    "Saved data could not be converted to this version's format; some of it may not show. Download a full backup in Schedules and preferences → Backups before logging more.",
+  "No se pudieron guardar los últimos cambios ({keys}): el almacenamiento del navegador está lleno. Descargue una copia completa en Horarios y preferencias → Copias de seguridad y elimine perfiles o registros que no necesite.":
+    "Your latest changes could not be saved ({keys}): the browser storage is full. Download a full backup in Schedules and preferences → Backups and delete profiles or entries you no longer need.",
+  "¿Sincronizar el historial de {name} con el código {code}?": "Sync {name}'s history with code {code}?",
+  "Vincular": "Link",
+  "Ignorar": "Ignore",
+  "Última dosis": "Last dose",
+  "Próxima dosis en:": "Next dose in:",
+  "Cantidad de {label}": "{label} amount",
+  "Cantidad ({unit})": "Amount ({unit})",
+  "Cantidad": "Amount",
+  "Registrar": "Log",
+  "Registrar {label}": "Log {label}",
+  "Horarios y preferencias": "Schedules and preferences",
+  "Horarios de {label}": "{label} schedule",
+  "{label}: tiempo despierto (horas)": "{label}: awake time (hours)",
+  "Intervalo de {label} (horas)": "{label} interval (hours)",
+  "Idioma": "Language",
+  "Unidad de volumen": "Volume unit",
+  "🔔 Notificaciones activas": "🔔 Notifications on",
+  "🔕 Activar notificaciones": "🔕 Turn on notifications",
+  "Los avisos llegan a horario con la app abierta o en segundo plano. Con la app cerrada el navegador puede demorarlos hasta que se vuelva a abrir.":
+    "Reminders arrive on time while the app is open or in the background. With the app closed, the browser may delay them until it is opened again.",
+  "⬇️ Exportar CSV": "⬇️ Export CSV",
+  "⬆️ Importar CSV": "⬆️ Import CSV",
+  "Borrar historial": "Clear history",
+  "Eliminar perfil": "Delete profile",
+
+  // Historial
+  "Historial": "History",
+  "{shown} de {total} registros": "{shown} of {total} entries",
+  "{n} registros": "{n} entries",
+  "Todos los bebés": "All babies",
+  "➕ Registro manual": "➕ Manual entry",
+  "Buscar en notas…": "Search notes…",
+  "Buscar en notas": "Search notes",
+  "Desde": "From",
+  "Hasta": "To",
+  "Quitar filtros": "Clear filters",
+  "Sin registros todavía. Usa los botones de arriba.": "No entries yet. Use the buttons above.",
+  "Ningún registro coincide con los filtros.": "No entries match the filters.",
+  "{duration} desde la anterior": "{duration} since the previous one",
+  "Sin cantidad": "No amount",
+  "Editar": "Edit",
+  "Eliminar": "Delete",
+  "Mostrar más ({n} restantes)": "Show more ({n} left)",
+  "Deshacer": "Undo",
+  "Cerrar": "Close",
+  "Hoy": "Today",
+  "Ayer": "Yesterday",
+
+  // Tarjetas
+  "Última vez": "Last time",
+  "Próximo en:": "Next in:",
+  "Configure intervalo": "Set an interval",
+  "Sin registros aún": "No entries yet",
+  "Según {n} intervalos recientes": "Based on {n} recent intervals",
+  "Previsto {time}": "Expected {time}",
+  "¡Ahora!": "Now!",
+
+  // Estadísticas
+  "{n} días": "{n} days",
+  "Por día": "Per day",
+  "Por semana": "Per week",
+  "Registros por semana": "Entries per week",
+  "Registros por día": "Entries per day",
+  "Intervalo promedio entre tomas: {value}": "Average interval between feeds: {value}",
+  "Volumen ({unit})": "Volume ({unit})",
+  "total": "total",
+  "Tomas": "Feeds",
+  "Intervalo promedio (h)": "Average interval (h)",
+  "Horas de sueño": "Hours of sleep",
+  "Cumplimiento de intervalos": "Interval adherence",
+  "Tipo": "Type",
+  "Horario": "Schedule",
+  "Registradas / esperadas": "Logged / expected",
+  "Tarde": "Late",
+  "Sem {date}": "Wk {date}",
+
+  // Informe
+  "🖨️ Imprimir / PDF": "🖨️ Print / PDF",
+  "Informe de {name}": "{name}'s report",
+  "Nacimiento: {date}": "Born: {date}",
+  "Generado el {date}": "Generated on {date}",
+  "{n} ({perDay}/día)": "{n} ({perDay}/day)",
+  "Volumen": "Volume",
+  "{amount}/día": "{amount}/day",
+  "Promedio por toma": "Average per feed",
+  "Intervalo promedio": "Average interval",
+  "Medicamentos y rutinas con horario": "Medications and scheduled routines",
+  "Registradas / programadas": "Logged / scheduled",
+  "😴 Sueño por día": "😴 Sleep per day",
+  "Día / noche (total)": "Day / night (total)",
+  "Tramo más largo": "Longest stretch",
+  "Día por día": "Day by day",
+  "Día": "Day",
+  "Medidas": "Measurements",
+  "Notas": "Notes",
+  "Sin notas en el período.": "No notes in this period.",
+
+  // Sueño
+  "Se durmió": "Fell asleep",
+  "Se despertó": "Woke up",
+  "Próxima siesta en:": "Next nap in:",
+  "😴 Durmiendo hace {duration}": "😴 Asleep for {duration}",
+  "Configure tiempo despierto": "Set an awake time",
+  "Despierto hace {duration}": "Awake for {duration}",
+  "☀️ Se despertó": "☀️ Woke up",
+  "🌙 Se durmió": "🌙 Fell asleep",
+  "☀️ Día · 🌙 Noche": "☀️ Day · 🌙 Night",
+  "Durmió {duration} (hasta {time})": "Slept {duration} (until {time})",
+  "Durmiendo ahora": "Sleeping now",
+
+  // Tipos de registro
+  "Tipos de registro": "Entry types",
+  "Emoji": "Emoji",
+  "Nombre": "Name",
+  "Color": "Color",
+  "Subir": "Move up",
+  "Bajar": "Move down",
+  "Eliminar tipo": "Delete type",
+  "Oculto": "Hidden",
+  "Con cantidad": "With amount",
+  "Modo": "Mode",
+  "Adaptativo: predice según los últimos intervalos a horas parecidas; con pocos datos usa el intervalo fijo":
+    "Adaptive: predicts from recent intervals at similar times of day; with little data it uses the fixed interval",
+  "Próximo": "Next",
+  "Intervalo fijo": "Fixed interval",
+  "Adaptativo": "Adaptive",
+  "Despierto máx. (h)": "Max awake (h)",
+  "Intervalo (h)": "Interval (h)",
+  "Cada N horas": "Every N hours",
+  "Horas fijas": "Fixed times",
+  "Horas": "Times",
+  "Máx. en 24 h": "Max per 24 h",
+  "Tratamiento": "Course",
+  "Inicio del tratamiento": "Course start",
+  "Fin del tratamiento": "Course end",
+  "Unidad": "Unit",
+  "Atajos": "Presets",
+  "Nuevo tipo (p. ej. Paracetamol)": "New type (e.g. Paracetamol)",
+  "Agregar": "Add",
+
+  // Crecimiento
+  "Fecha de nacimiento": "Date of birth",
+  "Sexo (tablas OMS)": "Sex (WHO charts)",
+  "Niña": "Girl",
+  "Niño": "Boy",
+  "{n} meses": "{n} months",
+  "Para ver percentiles OMS indique la fecha de nacimiento y el sexo.": "Enter the date of birth and sex to see WHO percentiles.",
+  "Nueva medida": "New measurement",
+  "Fecha": "Date",
+  "Unidad de {label}": "{label} unit",
+  "Notas (p. ej. control pediátrico)": "Notes (e.g. pediatric checkup)",
+  "Guardar medida": "Save measurement",
+  "Curvas de los patrones de crecimiento de la OMS (percentiles 3, 15, 50, 85 y 97), de 0 a {n} meses.":
+    "WHO child growth standard curves (3rd, 15th, 50th, 85th and 97th percentiles), from 0 to {n} months.",
+  "Sin medidas todavía.": "No measurements yet.",
+  "Eliminar medida": "Delete measurement",
+  "Percentiles OMS ({unit})": "WHO percentiles ({unit})",
+
+  // Sincronización
+  "No se pudo leer el archivo": "Could not read the file",
+  "Sincronizar con otro teléfono": "Sync with another phone",
+  "QR para vincular": "QR code to link",
+  "{n} cambios pendientes de enviar": "{n} changes waiting to be sent",
+  "Código": "Code",
+  "en {server}": "on {server}",
+  "Escanee el QR con el otro teléfono para vincularlo a este historial.": "Scan the QR code with the other phone to link it to this history.",
+  "🔄 Sincronizar ahora": "🔄 Sync now",
+  "¿Dejar de sincronizar este perfil? Los registros se conservan.": "Stop syncing this profile? The entries are kept.",
+  "Desvincular": "Unlink",
+  "Servidor de sincronización": "Sync server",
+  "Código (vacío para crear uno nuevo)": "Code (leave empty to create a new one)",
+  "Unirse": "Join",
+  "Crear código": "Create code",
+  "Sin servidor: exporte un archivo en un teléfono y combínelo en el otro.": "No server: export a file on one phone and merge it on the other.",
+  "📤 Archivo para otro teléfono": "📤 File for another phone",
+  "📥 Combinar archivo…": "📥 Merge file…",
+  "El archivo no es un intercambio de ÑandeBaby": "The file is not a ÑandeBaby exchange file",
+  "El archivo tiene registros inválidos": "The file has invalid entries",
+
+  // Copias de seguridad
+  "¿Reemplazar todos los datos con {source}? ({profiles} perfiles, {entries} registros)": "Replace all data with {source}? ({profiles} profiles, {entries} entries)",
+  "Antes de restaurar": "Before restoring",
+  'la copia "{file}"': 'the backup "{file}"',
+  "No se pudo leer la copia": "Could not read the backup",
+  "Copias de seguridad": "Backups",
+  "⬇️ Copia completa (JSON)": "⬇️ Full backup (JSON)",
+  "⬆️ Restaurar copia…": "⬆️ Restore backup…",
+  "Instantáneas automáticas (últimos {n} días, en este dispositivo):": "Automatic snapshots (last {n} days, on this device):",
+  "Todavía no hay instantáneas.": "No snapshots yet.",
+  "{profiles} perfiles · {entries} registros": "{profiles} profiles · {entries} entries",
+  "la instantánea del {date}": "the snapshot from {date}",
+  "Restaurar": "Restore",
+  "Diaria": "Daily",
+  "El archivo no es una copia de ÑandeBaby": "The file is not a ÑandeBaby backup",
+  "La copia es de una versión más nueva de la app": "The backup comes from a newer version of the app",
+  "No se pudo convertir la copia al formato de esta versión": "The backup could not be converted to this version's format",
+  "La copia no tiene perfiles válidos": "The backup has no valid profiles",
+  'Historial inválido en el perfil "{name}"': 'Invalid history in the profile "{name}"',
+
+  // Medicamentos
+  "{n} de {max} dosis en 24 h": "{n} of {max} doses in 24 h",
+  "{n} dosis en 24 h": "{n} doses in 24 h",
+  "hasta {date}": "until {date}",
+  "Sin horarios": "No schedule",
+  "cada {n} h": "every {n} h",
+  "Sin dosis programadas": "No scheduled doses",
+  "Configure horarios": "Set the times",
+  "Tratamiento terminado": "Course finished",
+  "El tratamiento empieza el {date}.": "The course starts on {date}.",
+  "El tratamiento terminó el {date}.": "The course ended on {date}.",
+  "Es temprano: la última dosis fue {last} y la próxima corresponde {next}.": "It's early: the last dose was {last} and the next one is due {next}.",
+  "Serían {count} dosis en 24 h (máximo {max}).": "That would be {count} doses in 24 h (maximum {max}).",
+
+  // Pecho
+  "Pecho · sugerido:": "Breast · suggested:",
+  "Pecho {side}": "Breast {side}",
+  "Pecho {sides}": "Breast {sides}",
+  "(terminó {side})": "(finished {side})",
+  "En pausa": "Paused",
+  "I": "L",
+  "D": "R",
+  "I {min} min": "L {min} min",
+  "D {min} min": "R {min} min",
+  "⏸ Pausa": "⏸ Pause",
+  "▶ Reanudar": "▶ Resume",
+  "■ Terminar": "■ Finish",
+  "Descartar": "Discard",
+
+  // Importar CSV
+  "Importar {file}": "Import {file}",
+  '{n} filas · separador "{delimiter}"': '{n} rows · separator "{delimiter}"',
+  "Columnas": "Columns",
+  "Columna {n}": "Column {n}",
+  "Falta asignar: {fields}": "Not mapped yet: {fields}",
+  "Tipos desconocidos": "Unknown types",
+  "Rechazar": "Reject",
+  "Crear tipo nuevo": "Create new type",
+  "{n} válidos": "{n} valid",
+  "{n} medidas": "{n} measurements",
+  "{n} duplicados": "{n} duplicates",
+  "{n} rechazados": "{n} rejected",
+  "… y {n} más": "… and {n} more",
+  "Los duplicados (mismo id, o mismo tipo y minuto) no se importan.": "Duplicates (same id, or same type and minute) are not imported.",
+  "Combinar con el historial actual": "Merge with the current history",
+  "Reemplazar el historial de {name}": "Replace {name}'s history",
+  "Cancelar": "Cancel",
+  "Importar {n}": "Import {n}",
+  "Sin tipo": "No type",
+  'Tipo desconocido: "{value}"': 'Unknown type: "{value}"',
+  'Hora inválida: "{value}"': 'Invalid time: "{value}"',
+  'Fin inválido: "{value}"': 'Invalid end: "{value}"',
+  'Cantidad no numérica: "{value}"': 'Non-numeric amount: "{value}"',
+  'Lado inválido: "{value}"': 'Invalid side: "{value}"',
+
+  // Editor y validaciones
+  "Los minutos deben ser un número": "Minutes must be a number",
+  "Nuevo registro": "New entry",
+  "Editar registro": "Edit entry",
+  "Hora": "Time",
+  "Se despertó (vacío = sigue durmiendo)": "Woke up (empty = still asleep)",
+  "Pecho {side} (min)": "Breast {side} (min)",
+  "Guardar": "Save",
+  "Tipo desconocido": "Unknown type",
+  "Hora inválida": "Invalid time",
+  "La hora no puede estar en el futuro": "The time cannot be in the future",
+  "Hora de fin inválida": "Invalid end time",
+  "El fin no puede ser anterior al inicio": "The end cannot be before the start",
+  "El fin no puede estar en el futuro": "The end cannot be in the future",
+  "La cantidad debe ser un número": "The amount must be a number",
+  "La cantidad no puede ser negativa": "The amount cannot be negative",
+  "Fecha inválida": "Invalid date",
+  "La fecha no puede estar en el futuro": "The date cannot be in the future",
+  "Las medidas deben ser números": "Measurements must be numbers",
+  "Las medidas deben ser mayores que cero": "Measurements must be greater than zero",
+  "Ingrese al menos una medida": "Enter at least one measurement",
+
+  // Modo noche / cuidador
+  "🌘 Modo noche": "🌘 Night mode",
+  "PIN para salir del modo noche (opcional)": "PIN to leave night mode (optional)",
+  "PIN para salir del modo noche": "PIN to leave night mode",
+  "PIN incorrecto": "Wrong PIN",
+  "🔒 Mantener para salir": "🔒 Hold to exit",
+  "Siga presionando…": "Keep holding…",
+  "Lo que toca": "Coming up",
+  "Nada programado": "Nothing scheduled",
+  "📋 Resumen para el relevo": "📋 Handoff summary",
+  "Resumen para el relevo": "Handoff summary",
+  "Copiar": "Copy",
+  "✓ Copiado": "✓ Copied",
+  "Compartir": "Share",
+  "{name} · resumen de las {time}": "{name} · summary at {time}",
+  "sin registros": "no entries",
+  "se despertó {time}": "woke up {time}",
+  "durmiendo desde {time}": "asleep since {time}",
+  "toca {time}": "due {time}",
+  "tocaba {time}": "was due {time}",
+
+  // Avisos
+  "Hora de la próxima dosis": "Time for the next dose",
+  "Hora del próximo evento": "Time for the next event",
+  "Registrar ahora": "Log now",
+  "Posponer 15 min": "Snooze 15 min",
+
+  // Constantes que se traducen al mostrarlas (KINDS, SIDES, MEASURES, SYNC_STATUS, IMPORT_FIELDS, menú)
+  "Evento": "Event",
+  "Toma (con pecho)": "Feed (with breast)",
+  "Sueño (inicio/fin)": "Sleep (start/end)",
+  "Medicamento (dosis)": "Medication (dose)",
+  "Izquierdo": "Left",
+  "Derecho": "Right",
+  "Ambos": "Both",
+  "Peso": "Weight",
+  "Longitud": "Length",
+  "Perímetro cefálico": "Head circumference",
+  "Sin sincronizar todavía": "Not synced yet",
+  "Sincronizando…": "Syncing…",
+  "Sincronizado": "Synced",
+  "Sin conexión con el servidor": "Can't reach the server",
+  "ID": "ID",
+  "Fecha (si la hora va aparte)": "Date (if the time is separate)",
+  "Hora / inicio": "Time / start",
+  "Fin": "End",
+  "Lado (pecho)": "Side (breast)",
+  "Último lado": "Last side",
+  "Segundos izquierdo": "Left seconds",
+  "Segundos derecho": "Right seconds",
+  "Perfil / bebé": "Profile / baby",
+  "Peso (kg)": "Weight (kg)",
+  "Longitud (cm)": "Length (cm)",
+  "Perímetro cefálico (cm)": "Head circumference (cm)",
+  "Unidad de la dosis": "Dose unit",
+  "🏠 Inicio": "🏠 Home",
+  "📊 Estadísticas": "📊 Statistics",
+  "📏 Crecimiento": "📏 Growth",
+  "🧾 Informe": "🧾 Report",
+};
@@ -8,3 +8,12 @@ createRoot(document.getElementById('root')).render(
     <App />
   </StrictMode>,
 )
+
+// Service worker: caché offline y recordatorios en segundo plano (solo en el build)
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      .then((reg) => reg.periodicSync?.register('reminders', { minInterval: 15 * 60 * 1000 }))
+      .catch(() => { /* sin permiso de periodicSync: el SW se rearma al abrir la app */ })
+  })
+}
@@ -0,0 +1,90 @@
+// Medicamentos: cada N horas u horas fijas, máximo en 24 h y tratamientos con fecha de fin
+import { addDays, fmtDate, fmtTime, fromDateKey, pad, startOfDay } from "./utils.js";
+import { tr } from "./i18n.js";
+
+// Una dosis dada hasta MED_TOLERANCE antes de un horario cuenta para ese horario (y no es "temprana")
+const MED_TOLERANCE = 60*60*1000;
+const DAY_MS = 24*3600*1000;
+
+export const isScheduled = (t) => t.kind === 'med' || (t.kind === 'event' && t.interval > 0);
+const parseClock = (s) => {
+  const m = String(s ?? '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  return m && Number(m[1]) < 24 && Number(m[2]) < 60 ? Number(m[1])*60 + Number(m[2]) : null;
+};
+const medTimes = (t) => [...new Set((t.times ?? []).map(parseClock).filter(x => x !== null))].sort((a, b) => a - b);
+const medTolerance = (t) => t.schedule === 'times' ? MED_TOLERANCE : Math.min(MED_TOLERANCE, (t.interval || 0)*3600*1000/4);
+export const normalizeTimes = (str) => [...new Set(String(str).split(/[,;\s]+/).map(parseClock).filter(x => x !== null))]
+  .sort((a, b) => a - b).map(m => `${pad(Math.floor(m/60))}:${pad(m%60)}`);
+export const describeSchedule = (t) => t.kind === 'med' && t.schedule === 'times' ? (t.times.length ? t.times.join(", ") : tr("Sin horarios")) : tr("cada {n} h", { n: t.interval });
+
+export const medIdle = (t) => courseBounds(t).end <= Date.now() ? tr("Tratamiento terminado")
+  : tr(t.schedule === 'times' ? (medTimes(t).length ? "Sin dosis programadas" : "Configure horarios") : "Configure intervalo");
+
+// Tratamiento en ms: desde el inicio del primer día hasta el final del último (sin fechas = sin límite)
+export const courseBounds = (t) => ({
+  start: t.courseStart ? fromDateKey(t.courseStart).getTime() : -Infinity,
+  end: t.courseEnd ? addDays(fromDateKey(t.courseEnd), 1).getTime() : Infinity,
+});
+
+// Horarios fijos (ms) entre from y to, ambos incluidos
+function medSlots(t, from, to){
+  const mins = medTimes(t);
+  const out = [];
+  for (let d = startOfDay(from); mins.length && d.getTime() <= to; d = addDays(d, 1)){
+    for (const m of mins){
+      const slot = new Date(d);
+      slot.setHours(0, m, 0, 0);
+      if (slot.getTime() >= from && slot.getTime() <= to) out.push(slot.getTime());
+    }
+  }
+  return out;
+}
+
+// Próxima dosis: intervalo desde la última, o el primer horario fijo que la última no cubrió
+// (sin dosis previas, el primero de hoy). Fuera del tratamiento no hay próxima dosis.
+export function medNextDue(t, last, now = Date.now()){
+  const { start, end } = courseBounds(t);
+  const lastMs = last ? new Date(last).getTime() : null;
+  let due = null;
+  if (t.schedule === 'times'){
+    const from = Math.max(lastMs === null ? startOfDay(now).getTime() : lastMs + medTolerance(t) + 1, start);
+    due = medSlots(t, from, from + 2*DAY_MS)[0] ?? null;
+  } else if (t.interval > 0){
+    if (lastMs !== null) due = Math.max(lastMs + t.interval*3600*1000, start);
+    else if (start > now) due = start;
+  }
+  return due !== null && due < end ? new Date(due).toISOString() : null;
+}
+
+export const dosesIn24h = (entries, key, at) => entries.filter(e => e.type === key && at - new Date(e.time).getTime() < DAY_MS && new Date(e.time).getTime() <= at).length;
+
+// Avisos antes de registrar una dosis nueva (se pide confirmación si hay alguno)
+export function doseWarnings(entries, t, time){
+  if (t.kind !== 'med') return [];
+  const at = new Date(time).getTime();
+  const warnings = [];
+  const { start, end } = courseBounds(t);
+  if (at < start) warnings.push(tr("El tratamiento empieza el {date}.", { date: fmtDate(fromDateKey(t.courseStart)) }));
+  if (at >= end) warnings.push(tr("El tratamiento terminó el {date}.", { date: fmtDate(fromDateKey(t.courseEnd)) }));
+  const last = entries.filter(e => e.type === t.key && new Date(e.time).getTime() <= at).sort((a, b) => new Date(b.time) - new Date(a.time))[0];
+  const due = last ? medNextDue({ ...t, courseStart: "", courseEnd: "" }, last.time, at) : null;
+  if (due && new Date(due).getTime() - at > medTolerance(t)){
+    warnings.push(tr("Es temprano: la última dosis fue {last} y la próxima corresponde {next}.", { last: fmtTime(last.time), next: fmtTime(due) }));
+  }
+  const count = dosesIn24h(entries, t.key, at) + 1;
+  if (t.maxPerDay > 0 && count > t.maxPerDay) warnings.push(tr("Serían {count} dosis en 24 h (máximo {max}).", { count, max: t.maxPerDay }));
+  return warnings;
+}
+
+// Cumplimiento de horarios fijos: horarios sin dosis dentro de la tolerancia cuentan como tarde
+export function slotAdherence(entries, t, from, to, now = Date.now()){
+  const course = courseBounds(t);
+  const lo = Math.max(startOfDay(from).getTime(), course.start);
+  const hi = Math.min(addDays(startOfDay(to), 1).getTime(), now, course.end);
+  if (!(hi > lo)) return { expected: 0, given: 0, late: 0, pct: null };
+  const own = entries.filter(e => e.type === t.key).map(e => new Date(e.time).getTime());
+  const slots = medSlots(t, lo, hi);
+  const given = own.filter(x => x >= lo && x < hi).length;
+  const late = slots.filter(slot => !own.some(x => Math.abs(x - slot) <= MED_TOLERANCE)).length;
+  return { expected: slots.length, given, late, pct: slots.length ? Math.min(100, Math.round(given / slots.length * 100)) : null };
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { describeSchedule, doseWarnings, dosesIn24h, medNextDue, normalizeTimes, slotAdherence } from './medications.js';
+import { DEFAULT_TYPES } from './types.js';
+import { addDays, dateKey } from './utils.js';
+
+const vit = { ...DEFAULT_TYPES.find(t => t.key === 'vitamina'), times: ['09:00'] };
+const sim = DEFAULT_TYPES.find(t => t.key === 'simeticona');
+const today9 = new Date(2026, 2, 10, 9);
+const given = new Date(today9.getTime() + 90*60*1000).toISOString();
+
+describe('medNextDue', () => {
+  it('con horario fijo pasa al día siguiente', () => {
+    expect(medNextDue(vit, given)).toBe(addDays(today9, 1).toISOString());
+  });
+
+  it('sin dosis previas propone el primer horario del día', () => {
+    expect(medNextDue(vit, null, new Date(2026, 2, 10, 7).getTime())).toBe(today9.toISOString());
+  });
+
+  it('cada N horas suma el intervalo a la última dosis', () => {
+    expect(medNextDue(sim, today9.toISOString())).toBe(new Date(2026, 2, 10, 15).toISOString());
+  });
+
+  it('no hay próxima dosis al terminar el tratamiento', () => {
+    expect(medNextDue({ ...vit, courseEnd: dateKey(today9) }, given)).toBeNull();
+  });
+});
+
+describe('doseWarnings', () => {
+  it('avisa dosis temprana y máximo diario', () => {
+    const warnings = doseWarnings([{ id: 'v1', type: 'vitamina', time: given }], vit, new Date(today9.getTime() + 2*3600*1000).toISOString());
+    expect(warnings).toHaveLength(2);
+    expect(warnings[1]).toMatch(/máximo 1/);
+  });
+
+  it('avisa fuera del tratamiento y no dice nada de otros tipos', () => {
+    expect(doseWarnings([], { ...vit, courseStart: '2026-03-11' }, today9.toISOString())[0]).toMatch(/empieza/);
+    expect(doseWarnings([], DEFAULT_TYPES[0], today9.toISOString())).toEqual([]);
+  });
+
+  it('dosesIn24h cuenta solo las últimas 24 h', () => {
+    const doses = [{ type: 'vitamina', time: addDays(today9, -2).toISOString() }, { type: 'vitamina', time: given }];
+    expect(dosesIn24h(doses, 'vitamina', new Date(2026, 2, 10, 12).getTime())).toBe(1);
+  });
+});
+
+describe('horarios', () => {
+  it('normalizeTimes ordena, completa y descarta horas inválidas', () => {
+    expect(normalizeTimes('21:00, 9:00; 25:00 9:00')).toEqual(['09:00', '21:00']);
+    expect(describeSchedule({ ...vit, times: ['09:00', '21:00'] })).toBe('09:00, 21:00');
+    expect(describeSchedule(sim)).toBe('cada 6 h');
+  });
+
+  it('slotAdherence marca tarde los horarios sin dosis', () => {
+    const day = new Date(2026, 2, 10);
+    const res = slotAdherence([], { ...vit, times: ['09:00', '21:00'] }, day, day, new Date(2026, 2, 10, 22).getTime());
+    expect(res).toMatchObject({ expected: 2, given: 0, late: 2, pct: 0 });
+  });
+});
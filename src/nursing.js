@@ -0,0 +1,57 @@
+// Lactancia (pecho)
+// Sesión: { segments: [{ side, start, end|null }] }; el último segmento sin `end` está corriendo
+import { nowISO, pad, sortByTimeDesc } from "./utils.js";
+import { tr } from "./i18n.js";
+
+// Las claves se guardan en los registros; las etiquetas se traducen al mostrarlas
+export const SIDES = { izquierdo: "Izquierdo", derecho: "Derecho", ambos: "Ambos" };
+export const otherSide = (side) => side === 'izquierdo' ? 'derecho' : 'izquierdo';
+
+export function nursingDurations(session, now = Date.now()){
+  const res = { izquierdo: 0, derecho: 0 };
+  for (const seg of session?.segments ?? []){
+    const end = seg.end ? new Date(seg.end).getTime() : now;
+    res[seg.side] += Math.max(0, Math.round((end - new Date(seg.start).getTime())/1000));
+  }
+  return res; // segundos por lado
+}
+
+export const nursingRunning = (session) => !!session && !session.segments.at(-1)?.end;
+
+export function nursingStep(session, action, side, now = nowISO()){
+  const segments = (session?.segments ?? []).map(seg => seg.end ? seg : { ...seg, end: now });
+  const last = session?.segments.at(-1);
+  if (action === 'start') return { segments: [{ side, start: now, end: null }] };
+  if (action === 'switch') return { segments: [...segments, { side: otherSide(last.side), start: now, end: null }] };
+  if (action === 'pause') return { segments };
+  if (action === 'resume') return { segments: [...segments, { side: last.side, start: now, end: null }] };
+  return session;
+}
+
+// Cierra la sesión y la convierte en un registro de leche (hora = inicio de la toma)
+export function finishNursing(session, now = Date.now()){
+  const durations = nursingDurations(session, now);
+  const side = durations.izquierdo && durations.derecho ? 'ambos' : (durations.derecho ? 'derecho' : 'izquierdo');
+  return {
+    id: crypto.randomUUID(), type: session.type ?? 'leche', time: session.segments[0].start,
+    side, lastSide: session.segments.at(-1).side, durations,
+  };
+}
+
+export function suggestNextSide(entries){
+  const last = sortByTimeDesc(entries).find(e => e.lastSide);
+  return last ? otherSide(last.lastSide) : 'izquierdo';
+}
+
+export const fmtDuration = (sec) => {
+  const h = Math.floor(sec/3600), m = Math.floor((sec%3600)/60), s = sec%60;
+  return h ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+};
+
+export const describeNursing = (e) => {
+  const parts = [];
+  if (e.durations?.izquierdo) parts.push(tr("I {min} min", { min: Math.round(e.durations.izquierdo/60) }));
+  if (e.durations?.derecho) parts.push(tr("D {min} min", { min: Math.round(e.durations.derecho/60) }));
+  const text = tr("Pecho {sides}", { sides: parts.join(" + ") || tr(SIDES[e.side]) });
+  return e.lastSide ? `${text} ${tr("(terminó {side})", { side: tr(SIDES[e.lastSide]).toLowerCase() })}` : text;
+};
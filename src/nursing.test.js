@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { describeNursing, finishNursing, nursingDurations, nursingRunning, nursingStep, suggestNextSide } from './nursing.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z').getTime();
+const ago = (min) => new Date(NOW - min*60*1000).toISOString();
+
+describe('sesión de pecho', () => {
+  it('cambiar de lado cierra el segmento y abre el del otro lado', () => {
+    let s = nursingStep(null, 'start', 'izquierdo', ago(15));
+    s = nursingStep(s, 'switch', null, ago(5));
+    expect(s.segments).toEqual([
+      { side: 'izquierdo', start: ago(15), end: ago(5) },
+      { side: 'derecho', start: ago(5), end: null },
+    ]);
+    expect(nursingRunning(s)).toBe(true);
+    expect(nursingDurations(s, NOW)).toEqual({ izquierdo: 600, derecho: 300 });
+  });
+
+  it('pausar detiene el reloj y reanudar sigue en el mismo lado', () => {
+    let s = nursingStep(null, 'start', 'derecho', ago(20));
+    s = nursingStep(s, 'pause', null, ago(15));
+    expect(nursingRunning(s)).toBe(false);
+    s = nursingStep(s, 'resume', null, ago(10));
+    expect(s.segments.at(-1).side).toBe('derecho');
+    expect(nursingDurations(s, NOW).derecho).toBe(15*60);
+  });
+
+  it('finishNursing suma ambos lados y recuerda el último', () => {
+    const session = { segments: [
+      { side: 'izquierdo', start: ago(15), end: ago(5) },
+      { side: 'derecho', start: ago(5), end: null },
+    ] };
+    const nursed = finishNursing(session, NOW);
+    expect(nursed).toMatchObject({ type: 'leche', time: ago(15), side: 'ambos', lastSide: 'derecho', durations: { izquierdo: 600, derecho: 300 } });
+    expect(describeNursing(nursed)).toBe('Pecho I 10 min + D 5 min (terminó derecho)');
+    expect(suggestNextSide([nursed])).toBe('izquierdo');
+  });
+
+  it('sin tomas de pecho sugiere empezar por el izquierdo', () => {
+    expect(suggestNextSide([{ id: 'a', type: 'leche', time: ago(30), amount: '90' }])).toBe('izquierdo');
+  });
+});
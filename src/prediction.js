@@ -0,0 +1,84 @@
+// Predicción adaptativa del próximo registro a partir del historial real del bebé
+// Se toman los últimos intervalos (de un registro al siguiente; en sueño, del despertar a la siguiente
+// siesta) que empezaron a una hora del día parecida, se descartan los atípicos (regla de 1,5·IQR) y se
+// promedian con más peso los más cercanos en hora y los más recientes. El rango es ± la desviación
+// estándar ponderada.
+// Sin historial suficiente devuelve null y la app usa el intervalo fijo del tipo.
+
+const HOUR = 3600*1000;
+const DAY = 24*HOUR;
+
+export const PREDICTION_DEFAULTS = {
+  maxSamples: 60,      // intervalos más recientes que se consideran
+  lookbackDays: 14,    // y como mucho de estos días
+  hourWindow: 3,       // solo los que empezaron a ± 3 h de la hora actual (si hay suficientes)
+  minSamples: 4,       // mínimo (tras descartar atípicos) para predecir
+  hourSigma: 2,        // horas: un intervalo que empezó 2 h antes/después pesa ~60 %
+  halfLifeDays: 3,     // un intervalo de hace 3 días pesa la mitad que uno de hoy
+  minSpreadHours: 0.25, // el rango nunca es menor que ± 15 min
+};
+
+// events = [{ start, end? }] en ms, de un mismo tipo → [{ at, hours }]
+// fromEnd: el intervalo empieza al terminar el evento anterior (sueño); eventos sin fin se ignoran
+export function collectIntervals(events, { fromEnd = false } = {}){
+  const sorted = [...events].filter(e => Number.isFinite(e.start)).sort((a, b) => a.start - b.start);
+  const out = [];
+  for (let i = 1; i < sorted.length; i++){
+    const at = fromEnd ? sorted[i-1].end : sorted[i-1].start;
+    if (!Number.isFinite(at)) continue;
+    const hours = (sorted[i].start - at) / HOUR;
+    if (hours > 0) out.push({ at, hours });
+  }
+  return out;
+}
+
+function quantile(sorted, p){
+  const i = (sorted.length - 1) * p;
+  const lo = Math.floor(i);
+  return sorted[lo] + (sorted[Math.ceil(i)] - sorted[lo]) * (i - lo);
+}
+
+// Descarta intervalos fuera de [Q1 − 1,5·IQR, Q3 + 1,5·IQR] (p. ej. una noche larga o un registro olvidado)
+export function dropOutliers(intervals){
+  if (intervals.length < 4) return intervals;
+  const xs = intervals.map(i => i.hours).sort((a, b) => a - b);
+  const q1 = quantile(xs, 0.25), q3 = quantile(xs, 0.75), fence = 1.5 * (q3 - q1);
+  return intervals.filter(i => i.hours >= q1 - fence && i.hours <= q3 + fence);
+}
+
+const hourOfDay = (ms) => { const d = new Date(ms); return d.getHours() + d.getMinutes()/60; };
+// Distancia circular entre horas del día (23:00 y 01:00 están a 2 h)
+export const hourDistance = (a, b) => { const d = Math.abs(a - b) % 24; return Math.min(d, 24 - d); };
+
+// anchor = momento desde el que se predice (último registro o último despertar), en ms
+// → { due, low, high (ms), hours, spread (h), samples } | null
+export function predictNext(intervals, anchor, now = Date.now(), options = {}){
+  const o = { ...PREDICTION_DEFAULTS, ...options };
+  if (!Number.isFinite(anchor)) return null;
+  const recent = intervals
+    .filter(i => i.at <= now && now - i.at <= o.lookbackDays*DAY)
+    .sort((a, b) => b.at - a.at)
+    .slice(0, o.maxSamples);
+  const h = hourOfDay(anchor);
+  // Los atípicos se buscan entre intervalos de horas parecidas: una toma nocturna más espaciada no es atípica
+  const similar = recent.filter(i => hourDistance(hourOfDay(i.at), h) <= o.hourWindow);
+  const kept = dropOutliers(similar.length >= o.minSamples ? similar : recent);
+  if (kept.length < o.minSamples) return null;
+  const weighted = kept.map(i => ({
+    hours: i.hours,
+    w: Math.exp(-0.5 * (hourDistance(hourOfDay(i.at), h) / o.hourSigma)**2) * 0.5**((now - i.at) / (o.halfLifeDays*DAY)),
+  }));
+  const total = weighted.reduce((s, x) => s + x.w, 0);
+  if (!(total > 0)) return null;
+  const hours = weighted.reduce((s, x) => s + x.w*x.hours, 0) / total;
+  const sd = Math.sqrt(weighted.reduce((s, x) => s + x.w*(x.hours - hours)**2, 0) / total);
+  const spread = Math.max(sd, o.minSpreadHours);
+  return {
+    due: anchor + hours*HOUR,
+    low: anchor + Math.max(0, hours - spread)*HOUR,
+    high: anchor + (hours + spread)*HOUR,
+    hours,
+    spread,
+    samples: kept.length,
+  };
+}
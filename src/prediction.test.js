@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { collectIntervals, dropOutliers, hourDistance, predictNext } from './prediction.js';
+
+const H = 3600*1000;
+const NOW = new Date(2026, 2, 10, 12).getTime();
+
+// Una semana de tomas: cada 3 h de día y cada 5 h de noche (21–5 h)
+function history(){
+  const events = [];
+  for (let t = NOW - 7*24*H; t < NOW; ){
+    events.push({ start: t });
+    const h = new Date(t).getHours();
+    t += h >= 21 || h < 5 ? 5*H : 3*H;
+  }
+  return events;
+}
+
+describe('predictNext', () => {
+  const events = history();
+  const intervals = collectIntervals(events);
+
+  it('predice el intervalo típico de esa hora del día', () => {
+    const day = events.filter(e => new Date(e.start).getHours() === 10).at(-1).start;
+    expect(predictNext(intervals, day, NOW).hours).toBeCloseTo(3, 1);
+    const night = events.filter(e => new Date(e.start).getHours() >= 22).at(-1).start;
+    expect(predictNext(intervals, night, NOW).hours).toBeCloseTo(5, 1);
+  });
+
+  it('devuelve un rango alrededor de la hora prevista', () => {
+    const last = events.at(-1).start;
+    const p = predictNext(intervals, last, NOW);
+    expect(p.low).toBeLessThan(p.due);
+    expect(p.high).toBeGreaterThan(p.due);
+    expect(p.high - p.due).toBeGreaterThanOrEqual(0.25*H);
+  });
+
+  it('sin suficientes intervalos recientes devuelve null', () => {
+    expect(predictNext(intervals.slice(0, 3), NOW, NOW)).toBeNull();
+    expect(predictNext(intervals, NOW, NOW + 30*24*H)).toBeNull();
+    expect(predictNext(intervals, NaN, NOW)).toBeNull();
+  });
+});
+
+describe('auxiliares', () => {
+  it('collectIntervals en sueño mide desde el fin del tramo anterior', () => {
+    const sleeps = [{ start: 0, end: H }, { start: 3*H, end: 4*H }, { start: 5*H }];
+    expect(collectIntervals(sleeps, { fromEnd: true })).toEqual([{ at: H, hours: 2 }, { at: 4*H, hours: 1 }]);
+  });
+
+  it('dropOutliers descarta valores lejos del rango intercuartil', () => {
+    const xs = [2, 2.5, 2.5, 3, 3, 12].map(hours => ({ at: 0, hours }));
+    expect(dropOutliers(xs).map(i => i.hours)).toEqual([2, 2.5, 2.5, 3, 3]);
+  });
+
+  it('hourDistance es circular', () => {
+    expect(hourDistance(23, 1)).toBe(2);
+    expect(hourDistance(6, 18)).toBe(12);
+  });
+});
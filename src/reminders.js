@@ -0,0 +1,40 @@
+// Recordatorios: calendario por perfil y entrega al service worker (o timers en la pestaña)
+import { tr } from "./i18n.js";
+
+// Recordatorios de un perfil para el service worker: uno por tipo visible con próximo horario
+export function buildReminders(profile, types, nextDue, quickAmount = {}){
+  return types.filter(t => !t.hidden && nextDue[t.key]).map(t => ({
+    id: `${profile.id}:${t.key}`,
+    at: new Date(nextDue[t.key]).getTime(),
+    title: `${t.emoji} ${profile.name} · ${t.label}`,
+    body: tr(t.kind === 'med' ? "Hora de la próxima dosis" : "Hora del próximo evento"),
+    actions: { log: tr("Registrar ahora"), snooze: tr("Posponer 15 min") }, // el SW no conoce el idioma
+    profileId: profile.id,
+    type: t.key,
+    amount: t.quantity ? (quickAmount[t.key] || undefined) : undefined,
+  }));
+}
+
+// Entrega el calendario al service worker (avisa con la pestaña en segundo plano; con la app
+// cerrada solo cuando el navegador despierta al SW, ver sw.js); sin service worker
+// (desarrollo, navegador sin soporte) usa timers en la pestaña. Devuelve la función que los cancela.
+export function scheduleReminders(reminders){
+  let cancelled = false;
+  const timers = [];
+  Promise.resolve(navigator.serviceWorker?.getRegistration()).then((reg)=>{
+    if (cancelled) return;
+    if (reg?.active){ reg.active.postMessage({ type: 'schedule', reminders }); return; }
+    for (const r of reminders){
+      const ms = r.at - Date.now();
+      if (!(ms > 0 && ms < 24*3600*1000)) continue;
+      timers.push(setTimeout(()=>{
+        if (typeof Notification !== "undefined" && Notification.permission === "granted"){
+          new Notification(r.title, { body: r.body });
+        } else {
+          alert(`${r.title}: ${r.body.toLowerCase()}`);
+        }
+      }, ms));
+    }
+  });
+  return ()=> { cancelled = true; timers.forEach(clearTimeout); };
+}
@@ -0,0 +1,71 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { buildReminders, scheduleReminders } from './reminders.js';
+import { DEFAULT_TYPES } from './types.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z').getTime();
+const inMinutes = (min) => new Date(NOW + min*60*1000).toISOString();
+const profile = { id: 'p1', name: 'Ana' };
+
+function stubNotification(permission = 'granted'){
+  const Notification = vi.fn();
+  Notification.permission = permission;
+  vi.stubGlobal('Notification', Notification);
+  return Notification;
+}
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+});
+
+describe('buildReminders', () => {
+  it('arma uno por tipo visible con próximo horario', () => {
+    const types = DEFAULT_TYPES.map(t => t.key === 'panal' ? { ...t, hidden: true } : t);
+    const reminders = buildReminders(profile, types, { leche: inMinutes(30), vitamina: inMinutes(60), panal: inMinutes(10), sueno: null }, { leche: '120' });
+    expect(reminders.map(r => r.id)).toEqual(['p1:leche', 'p1:vitamina']);
+    expect(reminders[0]).toMatchObject({ at: NOW + 30*60*1000, title: '🍼 Ana · Leche', body: 'Hora del próximo evento', amount: '120' });
+    expect(reminders[1].body).toBe('Hora de la próxima dosis');
+  });
+});
+
+describe('scheduleReminders', () => {
+  const reminders = buildReminders(profile, DEFAULT_TYPES, { leche: inMinutes(30), panal: inMinutes(90) });
+
+  it('sin service worker avisa con timers en la pestaña', async () => {
+    const Notification = stubNotification();
+    scheduleReminders(reminders);
+    await vi.advanceTimersByTimeAsync(29*60*1000);
+    expect(Notification).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(60*1000);
+    expect(Notification).toHaveBeenCalledWith('🍼 Ana · Leche', { body: 'Hora del próximo evento' });
+    await vi.advanceTimersByTimeAsync(60*60*1000);
+    expect(Notification).toHaveBeenCalledTimes(2);
+  });
+
+  it('sin permiso de notificaciones usa un alert', async () => {
+    stubNotification('denied');
+    const alert = vi.spyOn(window, 'alert').mockImplementation(() => {});
+    scheduleReminders(reminders);
+    await vi.advanceTimersByTimeAsync(30*60*1000);
+    expect(alert).toHaveBeenCalledWith('🍼 Ana · Leche: hora del próximo evento');
+  });
+
+  it('cancelar desarma los timers pendientes', async () => {
+    const Notification = stubNotification();
+    const cancel = scheduleReminders(reminders);
+    await vi.advanceTimersByTimeAsync(0);
+    cancel();
+    await vi.advanceTimersByTimeAsync(2*3600*1000);
+    expect(Notification).not.toHaveBeenCalled();
+  });
+
+  it('con service worker activo le entrega el calendario', async () => {
+    const postMessage = vi.fn();
+    vi.stubGlobal('navigator', { ...navigator, serviceWorker: { getRegistration: () => Promise.resolve({ active: { postMessage } }) } });
+    const Notification = stubNotification();
+    scheduleReminders(reminders);
+    await vi.advanceTimersByTimeAsync(2*3600*1000);
+    expect(postMessage).toHaveBeenCalledWith({ type: 'schedule', reminders });
+    expect(Notification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,43 @@
+// Sueño: totales de día/noche a partir de los tramos inicio/fin
+import { fmtClock, fmtHours } from "./utils.js";
+import { tr } from "./i18n.js";
+
+const NIGHT_START = 19, NIGHT_END = 7; // horas locales que cuentan como sueño nocturno
+
+const isNightHour = (h) => h >= NIGHT_START || h < NIGHT_END;
+
+// Totales de sueño (segundos) dentro de [from, to): día/noche y tramo más largo.
+// Los tramos en curso cuentan hasta `now`; el tramo más largo usa la duración completa.
+export function sleepTotals(entries, sleepKeys, from, to, now = Date.now()){
+  const res = { total: 0, day: 0, night: 0, longest: 0, count: 0 };
+  const lo = new Date(from).getTime(), hi = new Date(to).getTime();
+  for (const e of entries){
+    if (!sleepKeys.includes(e.type)) continue;
+    const start = new Date(e.time).getTime();
+    const end = e.end ? new Date(e.end).getTime() : now;
+    if (end <= lo || start >= hi) continue;
+    res.count++;
+    res.longest = Math.max(res.longest, Math.round((end - start)/1000));
+    // Recorre el tramo recortado en saltos hasta el próximo cambio día/noche
+    let cur = Math.max(start, lo);
+    const stop = Math.min(end, hi);
+    while (cur < stop){
+      const d = new Date(cur);
+      const night = isNightHour(d.getHours());
+      const next = new Date(d);
+      const boundary = night ? NIGHT_END : NIGHT_START;
+      next.setHours(boundary, 0, 0, 0);
+      if (next.getTime() <= cur) next.setDate(next.getDate() + 1);
+      const segEnd = Math.min(stop, next.getTime());
+      const secs = Math.round((segEnd - cur)/1000);
+      res[night ? 'night' : 'day'] += secs;
+      res.total += secs;
+      cur = segEnd;
+    }
+  }
+  return res;
+}
+
+export const describeSleep = (e) => e.end
+  ? tr("Durmió {duration} (hasta {time})", { duration: fmtHours(Math.round((new Date(e.end) - new Date(e.time))/1000)), time: fmtClock(e.end) })
+  : tr("Durmiendo ahora");
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { describeSleep, sleepTotals } from './sleep.js';
+
+const at = (h, m = 0) => new Date(2026, 2, 9, h, m).toISOString();
+
+describe('sleepTotals', () => {
+  const sleeps = [
+    { id: 's1', type: 'sueno', time: at(13), end: at(14, 30) },
+    { id: 's2', type: 'sueno', time: at(18), end: at(21) },
+  ];
+
+  it('separa día y noche y guarda el tramo más largo', () => {
+    const st = sleepTotals(sleeps, ['sueno'], at(0), at(24));
+    expect(st).toMatchObject({ day: 2.5*3600, night: 2*3600, total: 4.5*3600, longest: 3*3600, count: 2 });
+  });
+
+  it('recorta los tramos al rango pedido', () => {
+    expect(sleepTotals(sleeps, ['sueno'], at(20), at(24)).night).toBe(3600);
+  });
+
+  it('un tramo en curso cuenta hasta ahora', () => {
+    const open = [{ id: 's3', type: 'sueno', time: at(10) }];
+    expect(sleepTotals(open, ['sueno'], at(0), at(24), new Date(at(11)).getTime()).day).toBe(3600);
+    expect(describeSleep(open[0])).toBe('Durmiendo ahora');
+  });
+});
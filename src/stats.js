@@ -0,0 +1,63 @@
+// Estadísticas por día/semana y cumplimiento de intervalos
+import { addDays, dateKey, pad, startOfDay } from "./utils.js";
+import { sleepTotals } from "./sleep.js";
+import { courseBounds, slotAdherence } from "./medications.js";
+
+const startOfWeek = (t) => { const d = startOfDay(t); return addDays(d, -((d.getDay() + 6) % 7)); }; // lunes
+
+// Agrupa registros en días o semanas dentro de [from, to] (fechas locales, ambos incluidos).
+// label = "dd/mm" del primer día (la vista agrega "Sem" al traducir);
+// byType[key] = { count, amount, gaps: [horas desde el anterior del mismo tipo], sleep: segundos }
+export function aggregateStats(entries, types, from, to, unit = 'day', now = Date.now()){
+  const first = unit === 'week' ? startOfWeek(from) : startOfDay(from);
+  const last = addDays(startOfDay(to), 1);
+  const step = unit === 'week' ? 7 : 1;
+  const buckets = [];
+  for (let d = first; d < last; d = addDays(d, step)){
+    const end = addDays(d, step);
+    buckets.push({
+      key: dateKey(d), start: d.toISOString(), end: end.toISOString(),
+      label: `${pad(d.getDate())}/${pad(d.getMonth()+1)}`,
+      byType: Object.fromEntries(types.map(t => [t.key, { count: 0, amount: 0, gaps: [], sleep: 0 }])),
+    });
+  }
+  const find = (t) => buckets.find(b => t >= new Date(b.start).getTime() && t < new Date(b.end).getTime());
+  const prevByType = {};
+  for (const e of [...entries].sort((a,b)=> new Date(a.time)-new Date(b.time))){
+    const t = new Date(e.time).getTime();
+    const b = find(t);
+    const prev = prevByType[e.type];
+    prevByType[e.type] = t;
+    if (!b || !b.byType[e.type]) continue;
+    const agg = b.byType[e.type];
+    agg.count++;
+    agg.amount += Number(e.amount) || 0;
+    if (prev !== undefined) agg.gaps.push((t - prev)/3600000);
+  }
+  for (const t of types.filter(x => x.kind === 'sleep')){
+    for (const b of buckets) b.byType[t.key].sleep = sleepTotals(entries, [t.key], b.start, b.end, now).total;
+  }
+  return buckets;
+}
+
+export const average = (xs) => xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null;
+
+// Promedio de horas entre registros consecutivos de un tipo en el rango
+export const averageInterval = (buckets, key) => average(buckets.flatMap(b => b.byType[key]?.gaps ?? []));
+
+// Cumplimiento frente al intervalo configurado: dosis esperadas en el rango (desde el primer
+// registro del tipo si es posterior) vs. registradas, y huecos que superaron el intervalo en >25 %
+export function intervalAdherence(entries, type, from, to, now = Date.now()){
+  if (type.kind === 'med' && type.schedule === 'times') return slotAdherence(entries, type, from, to, now);
+  if (!(type.interval > 0)) return null;
+  const own = entries.filter(e => e.type === type.key).map(e => new Date(e.time).getTime()).sort((a,b)=> a-b);
+  const course = courseBounds(type);
+  const lo = Math.max(startOfDay(from).getTime(), own[0] ?? Infinity, course.start);
+  const hi = Math.min(addDays(startOfDay(to), 1).getTime(), now, course.end);
+  if (!(hi > lo)) return { expected: 0, given: 0, late: 0, pct: null };
+  const inRange = own.filter(t => t >= lo && t < hi);
+  const expected = Math.max(1, Math.floor((hi - lo) / (type.interval*3600000)));
+  let late = 0;
+  for (let i = 1; i < inRange.length; i++) if (inRange[i] - inRange[i-1] > type.interval*1.25*3600000) late++;
+  return { expected, given: inRange.length, late, pct: Math.min(100, Math.round(inRange.length / expected * 100)) };
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { aggregateStats, averageInterval, intervalAdherence } from './stats.js';
+import { DEFAULT_TYPES } from './types.js';
+
+const day = new Date(2026, 2, 9);
+const at = (h) => new Date(2026, 2, 9, h).toISOString();
+const feeds = [
+  { id: 'f1', type: 'leche', time: at(8), amount: '100' },
+  { id: 'f2', type: 'leche', time: at(11), amount: '120' },
+  { id: 'f3', type: 'leche', time: at(15), amount: '80' },
+];
+const leche = DEFAULT_TYPES.find(t => t.key === 'leche');
+
+describe('aggregateStats', () => {
+  it('suma volumen y tomas del día', () => {
+    const buckets = aggregateStats(feeds, DEFAULT_TYPES, day, day);
+    expect(buckets).toHaveLength(1);
+    expect(buckets[0].byType.leche).toMatchObject({ amount: 300, count: 3 });
+    expect(averageInterval(buckets, 'leche')).toBe(3.5);
+  });
+
+  it('agrupa por semana desde el lunes', () => {
+    const buckets = aggregateStats(feeds, DEFAULT_TYPES, day, new Date(2026, 2, 22), 'week');
+    expect(buckets.map(b => b.key)).toEqual(['2026-03-09', '2026-03-16']);
+    expect(buckets[0].byType.leche.count).toBe(3);
+  });
+
+  it('suma el sueño de cada día', () => {
+    const sleeps = [{ id: 's1', type: 'sueno', time: at(13), end: at(14) }];
+    expect(aggregateStats(sleeps, DEFAULT_TYPES, day, day)[0].byType.sueno.sleep).toBe(3600);
+  });
+});
+
+describe('intervalAdherence', () => {
+  it('cuenta los huecos que superaron el intervalo', () => {
+    const adherence = intervalAdherence(feeds, leche, day, day, new Date(at(17)).getTime());
+    expect(adherence).toMatchObject({ expected: 3, given: 3, late: 1, pct: 100 });
+  });
+
+  it('sin intervalo no hay cumplimiento que medir', () => {
+    expect(intervalAdherence(feeds, { ...leche, interval: 0 }, day, day)).toBeNull();
+  });
+});
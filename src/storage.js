@@ -0,0 +1,284 @@
+// Persistencia en localStorage: claves por perfil, migraciones de esquema, copias e instantáneas
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { liveEntries, mergeEntries, restoreRecords, validRecord } from "./sync.js";
+import { dateKey, nowISO, sortByTimeDesc } from "./utils.js";
+import { DEFAULT_SETTINGS, migrateSettings } from "./types.js";
+import { tr } from "./i18n.js";
+
+function readStored(key, fallback){
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch { return fallback; }
+}
+
+// Problemas de almacenamiento que se muestran en un aviso: { kind: 'corrupt' | 'write' | 'migration', key }
+// (corrupt: ilegible al cargar; write: no se pudo guardar ni liberando instantáneas; migration: ver migrateLocalData)
+export let storageWarnings = [];
+export const CORRUPT_SUFFIX = ".ilegible";
+const warningListeners = new Set();
+
+export function setStorageWarning(kind, key, active = true){
+  const has = storageWarnings.some(w => w.kind === kind && w.key === key);
+  if (has === active) return;
+  storageWarnings = active ? [...storageWarnings, { kind, key }] : storageWarnings.filter(w => w.kind !== kind || w.key !== key);
+  for (const listener of warningListeners) listener();
+}
+
+const subscribeWarnings = (listener) => { warningListeners.add(listener); return () => warningListeners.delete(listener); };
+export const useStorageWarnings = () => useSyncExternalStore(subscribeWarnings, () => storageWarnings);
+
+// migrate (opcional) adapta valores guardados por versiones anteriores;
+// initial puede ser una función (se evalúa solo si la clave no existe).
+// Un valor que no se puede leer no se pisa en silencio: se copia a "<clave>.ilegible" y se avisa.
+// undefined no se guarda (JSON no lo representa); el "undefined" que dejaban versiones anteriores cuenta como vacío.
+export function useLocalStorage(key, initial, migrate) {
+  const [value, setValue] = useState(() => {
+    const fallback = () => typeof initial === 'function' ? initial() : initial;
+    let raw = null;
+    try {
+      raw = localStorage.getItem(key);
+      if (!raw || raw === "undefined") return fallback();
+      return migrate ? migrate(JSON.parse(raw)) : JSON.parse(raw);
+    } catch {
+      if (raw){
+        try { localStorage.setItem(key + CORRUPT_SUFFIX, raw); } catch { /* ignore */ }
+        setStorageWarning('corrupt', key);
+      }
+      return fallback();
+    }
+  });
+  useEffect(() => {
+    try {
+      if (value === undefined) localStorage.removeItem(key);
+      else persist(key, JSON.stringify(value));
+    } catch { /* sin localStorage */ }
+  }, [key, value]);
+  return [value, setValue];
+}
+
+// -------------------- Perfiles (un bebé por perfil) --------------------
+// nb_profiles = { active, list: [{ id, name }] }; los datos de cada bebé viven en "<clave>:<id>"
+export const PROFILE_KEYS = ["nb_entries", "nb_settings", "nb_quick_amount", "nb_nursing", "nb_sync", "nb_measurements"];
+export const profileKey = (base, id) => `${base}:${id}`;
+
+// -------------------- Esquema, migraciones y copias de seguridad --------------------
+// nb_schema guarda la versión del formato de almacenamiento. Las migraciones trabajan sobre un
+// "store" (localStorage o una copia en memoria) para poder migrar también copias viejas al restaurar.
+export const SCHEMA_VERSION = 2;
+const SCHEMA_KEY = "nb_schema";
+export const SNAPSHOTS_KEY = "nb_snapshots";
+export const BACKUP_FORMAT = "nandebaby-backup";
+export const SNAPSHOT_DAYS = 7, MAX_SNAPSHOTS = 14;
+// localStorage no informa el espacio libre: se asume la cuota habitual (~5 millones de caracteres) y las
+// instantáneas ocupan a lo sumo SNAPSHOT_SHARE de lo que dejan libre los datos, para que siempre quede lugar.
+export const STORAGE_QUOTA = 5*1024*1024, SNAPSHOT_SHARE = 0.5;
+
+export const localStore = {
+  get: (k) => localStorage.getItem(k),
+  set: (k, v) => localStorage.setItem(k, v),
+  remove: (k) => localStorage.removeItem(k),
+  keys: () => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)),
+};
+
+export function memoryStore(data){
+  const m = new Map(Object.entries(data).map(([k, v]) => [k, JSON.stringify(v)]));
+  return {
+    get: (k) => m.has(k) ? m.get(k) : null,
+    set: (k, v) => m.set(k, String(v)),
+    remove: (k) => m.delete(k),
+    keys: () => [...m.keys()],
+    toData: () => Object.fromEntries([...m].map(([k, v]) => [k, JSON.parse(v)])),
+  };
+}
+
+export const getJSON = (store, key, fallback) => { try { const raw = store.get(key); return raw ? JSON.parse(raw) : fallback; } catch { return fallback; } };
+const isBackupKey = (k) => k.startsWith("nb_") && k !== SNAPSHOTS_KEY && !k.endsWith(CORRUPT_SUFFIX);
+
+const MIGRATIONS = [
+  // 1: datos sin perfiles → primer perfil (nb_entries → nb_entries:<id>, ...)
+  { version: 1, run(store){
+    if (getJSON(store, "nb_profiles", null)?.list?.length) return;
+    const id = crypto.randomUUID();
+    const name = getJSON(store, "nb_settings", null)?.babyName || DEFAULT_SETTINGS.babyName;
+    for (const base of PROFILE_KEYS){
+      const raw = store.get(base);
+      if (raw === null) continue;
+      store.set(profileKey(base, id), raw);
+      store.remove(base);
+    }
+    store.set("nb_profiles", JSON.stringify({ active: id, list: [{ id, name }] }));
+  } },
+  // 2: ajustes de cada perfil al formato de tipos configurables (incluye Sueño)
+  { version: 2, run(store){
+    for (const p of getJSON(store, "nb_profiles", { list: [] }).list){
+      const key = profileKey("nb_settings", p.id);
+      store.set(key, JSON.stringify(migrateSettings(getJSON(store, key, null))));
+    }
+  } },
+];
+
+// Aplica en orden las migraciones pendientes; cada paso guarda la versión alcanzada, así que
+// repetir la llamada (StrictMode, recarga a mitad) no vuelve a ejecutar pasos ya hechos.
+// Si un paso falla se lanza el error: lo ya migrado queda guardado y quien llama decide cómo avisar.
+export function runMigrations(store){
+  const from = Number(getJSON(store, SCHEMA_KEY, 0)) || 0;
+  for (const m of MIGRATIONS){
+    if (m.version <= from) continue;
+    m.run(store);
+    store.set(SCHEMA_KEY, JSON.stringify(m.version));
+  }
+  return from;
+}
+
+// Migra los datos de este dispositivo; un fallo queda en storageWarnings
+export function migrateLocalData(){
+  try { runMigrations(localStore); }
+  catch { setStorageWarning('migration', SCHEMA_KEY); }
+}
+
+// Copia de todas las claves persistidas (menos las instantáneas)
+export function createBackup(store = localStore){
+  const data = {};
+  for (const key of store.keys()){
+    if (!isBackupKey(key)) continue;
+    try { data[key] = JSON.parse(store.get(key)); } catch { /* ilegible: queda fuera */ }
+  }
+  return { format: BACKUP_FORMAT, schema: SCHEMA_VERSION, createdAt: nowISO(), data };
+}
+
+export function backupSummary(backup){
+  const list = backup?.data?.nb_profiles?.list ?? [];
+  const entries = list.reduce((n, p) => n + liveEntries(backup.data[profileKey("nb_entries", p.id)] ?? []).length, 0);
+  return { profiles: list.length, entries };
+}
+
+// Valida una copia y la migra al esquema actual; devuelve { data } o { error }
+export function prepareRestore(backup){
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.data || typeof backup.data !== 'object') return { error: tr("El archivo no es una copia de ÑandeBaby") };
+  const schema = Number(backup.schema ?? 0);
+  if (schema > SCHEMA_VERSION) return { error: tr("La copia es de una versión más nueva de la app") };
+  const store = memoryStore(backup.data);
+  store.set(SCHEMA_KEY, JSON.stringify(schema));
+  try { runMigrations(store); } catch { return { error: tr("No se pudo convertir la copia al formato de esta versión") }; }
+  const data = store.toData();
+  const list = data.nb_profiles?.list;
+  if (!Array.isArray(list) || !list.length || !list.every(p => p?.id && typeof p.name === 'string')) return { error: tr("La copia no tiene perfiles válidos") };
+  for (const p of list){
+    const entries = data[profileKey("nb_entries", p.id)] ?? [];
+    if (!Array.isArray(entries) || !entries.every(validRecord)){
+      return { error: tr('Historial inválido en el perfil "{name}"', { name: p.name }) };
+    }
+  }
+  return { data };
+}
+
+// Reemplaza todas las claves persistidas por las de la copia (las instantáneas se conservan).
+// Los historiales pasan por restoreRecords y nb_sync queda como está (cursor y envíos actuales),
+// para que lo restaurado llegue a los teléfonos vinculados en vez de perder contra el servidor.
+export function restoreBackup(data, store = localStore, now = Date.now()){
+  const current = {};
+  for (const key of store.keys()){
+    if (!isBackupKey(key)) continue;
+    current[key] = getJSON(store, key, null);
+    store.remove(key);
+  }
+  const ids = new Set((data.nb_profiles?.list ?? []).map(p => p.id));
+  for (const [key, value] of Object.entries(current)){
+    const [base, id] = key.split(":");
+    if (base === "nb_sync" && ids.has(id) && value) store.set(key, JSON.stringify(value));
+  }
+  for (const [key, value] of Object.entries(data)){
+    const base = key.split(":")[0];
+    if (base === "nb_sync") continue;
+    const restored = base === "nb_entries" && Array.isArray(current[key]) ? restoreRecords(current[key], value, now) : value;
+    store.set(key, JSON.stringify(restored));
+  }
+}
+
+const storedSize = (store) => store.keys()
+  .filter(k => k !== SNAPSHOTS_KEY)
+  .reduce((n, k) => n + k.length + (store.get(k)?.length ?? 0), 0);
+
+// Instantáneas locales: una diaria y otra antes de cada acción destructiva; se guardan las de
+// los últimos SNAPSHOT_DAYS días que entran en el espacio asignado, de la más nueva a la más vieja.
+// Devuelve la instantánea aunque no haya entrado: sirve igual para deshacer mientras la app está abierta.
+export function takeSnapshot(reason, store = localStore, now = Date.now(), quota = STORAGE_QUOTA){
+  const snap = { id: crypto.randomUUID(), createdAt: new Date(now).toISOString(), reason, backup: createBackup(store) };
+  let room = (quota - storedSize(store)) * SNAPSHOT_SHARE;
+  let list = [snap, ...getJSON(store, SNAPSHOTS_KEY, [])]
+    .filter(s => now - Date.parse(s.createdAt) < SNAPSHOT_DAYS*24*3600*1000)
+    .slice(0, MAX_SNAPSHOTS)
+    .filter(s => {
+      const size = JSON.stringify(s).length;
+      if (size > room) return false;
+      room -= size;
+      return true;
+    });
+  while (list.length){
+    try { store.set(SNAPSHOTS_KEY, JSON.stringify(list)); return snap; }
+    catch { list = list.slice(0, -1); }
+  }
+  store.remove(SNAPSHOTS_KEY);
+  return snap;
+}
+
+export function ensureDailySnapshot(store = localStore, now = Date.now(), quota = STORAGE_QUOTA){
+  const today = dateKey(now);
+  if (getJSON(store, SNAPSHOTS_KEY, []).some(s => s.reason === "Diaria" && dateKey(s.createdAt) === today)) return null;
+  return takeSnapshot("Diaria", store, now, quota);
+}
+
+// Descarta la instantánea más vieja (o la lista entera si está ilegible); false si no había ninguna
+function dropOldestSnapshot(store){
+  try {
+    if (store.get(SNAPSHOTS_KEY) === null) return false;
+    const list = getJSON(store, SNAPSHOTS_KEY, []);
+    if (list.length > 1){
+      try { store.set(SNAPSHOTS_KEY, JSON.stringify(list.slice(0, -1))); return true; } catch { /* tampoco entra: se borran todas */ }
+    }
+    store.remove(SNAPSHOTS_KEY);
+    return true;
+  } catch { return false; }
+}
+
+// Guarda una clave; si no entra, los datos valen más que las instantáneas y se liberan de la más vieja
+// a la más nueva. Lo que aun así no se pudo guardar queda en storageWarnings en vez de perderse en silencio.
+export function persist(key, raw, store = localStore){
+  for (;;){
+    try {
+      store.set(key, raw);
+      setStorageWarning('write', key, false);
+      return true;
+    } catch {
+      if (!dropOldestSnapshot(store)) break;
+    }
+  }
+  setStorageWarning('write', key);
+  return false;
+}
+
+// Datos de los demás perfiles (solo lectura) para el historial combinado y la importación
+export function readProfile(id){
+  return {
+    entries: liveEntries(readStored(profileKey("nb_entries", id), [])),
+    types: migrateSettings(readStored(profileKey("nb_settings", id), null)).types,
+    quickAmount: readStored(profileKey("nb_quick_amount", id), {}),
+    measurements: readStored(profileKey("nb_measurements", id), []),
+  };
+}
+
+export function writeProfileEntries(id, rows){
+  const prev = readStored(profileKey("nb_entries", id), []);
+  const existing = new Set(prev.map(x=>x.id));
+  const now = Date.now();
+  const merged = mergeEntries(prev, rows.filter(r=>!existing.has(r.id)).map(r => ({ ...r, updatedAt: now })));
+  persist(profileKey("nb_entries", id), JSON.stringify(merged));
+}
+
+export function writeProfileMeasurements(id, rows){
+  const prev = readStored(profileKey("nb_measurements", id), []);
+  const existing = new Set(prev.map(x=>x.id));
+  const merged = sortByTimeDesc([...prev, ...rows.filter(r=>!existing.has(r.id))]);
+  persist(profileKey("nb_measurements", id), JSON.stringify(merged));
+}
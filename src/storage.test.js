@@ -0,0 +1,191 @@
+import { act, renderHook } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  BACKUP_FORMAT, CORRUPT_SUFFIX, createBackup, ensureDailySnapshot, localStore, memoryStore, migrateLocalData, prepareRestore, profileKey,
+  persist, readProfile, restoreBackup, runMigrations, SCHEMA_VERSION, SNAPSHOT_DAYS, SNAPSHOTS_KEY, storageWarnings, takeSnapshot, useLocalStorage, writeProfileEntries,
+} from './storage.js';
+
+const entry = (id, time = '2026-03-10T08:00:00.000Z') => ({ id, type: 'leche', time, amount: '90' });
+const stored = (key) => JSON.parse(localStorage.getItem(key));
+// Almacén con cuota, como localStorage: lo que no entra lanza y no se guarda
+const quotaStore = (limit) => {
+  const m = new Map();
+  const size = () => [...m].reduce((n, [k, v]) => n + k.length + v.length, 0);
+  const store = {
+    rejected: 0,
+    get: (k) => m.has(k) ? m.get(k) : null,
+    set(k, v){
+      const prev = m.get(k);
+      m.set(k, v);
+      if (size() <= limit) return;
+      if (prev === undefined) m.delete(k); else m.set(k, prev);
+      store.rejected++;
+      throw new DOMException('Cuota excedida', 'QuotaExceededError');
+    },
+    remove: (k) => m.delete(k),
+    keys: () => [...m.keys()],
+  };
+  return store;
+};
+
+describe('useLocalStorage', () => {
+  it('usa el valor inicial y guarda cada cambio', () => {
+    const { result } = renderHook(() => useLocalStorage('nb_test', { a: 1 }));
+    expect(result.current[0]).toEqual({ a: 1 });
+    act(() => result.current[1]({ a: 2 }));
+    expect(result.current[0]).toEqual({ a: 2 });
+    expect(stored('nb_test')).toEqual({ a: 2 });
+  });
+
+  it('lee lo guardado y aplica la migración', () => {
+    localStorage.setItem('nb_test', JSON.stringify({ version: 1 }));
+    const { result } = renderHook(() => useLocalStorage('nb_test', null, (v) => ({ ...v, version: 2 })));
+    expect(result.current[0]).toEqual({ version: 2 });
+  });
+
+  it('evalúa el valor inicial solo si la clave no existe', () => {
+    const initial = vi.fn(() => 'nuevo');
+    localStorage.setItem('nb_test', JSON.stringify('guardado'));
+    const { result } = renderHook(() => useLocalStorage('nb_test', initial));
+    expect(result.current[0]).toBe('guardado');
+    expect(initial).not.toHaveBeenCalled();
+  });
+
+  it('undefined no se guarda y el "undefined" viejo no cuenta como ilegible', () => {
+    localStorage.setItem('nb_viejo', 'undefined');
+    const { result } = renderHook(() => useLocalStorage('nb_viejo', false));
+    expect(result.current[0]).toBe(false);
+    expect(storageWarnings.map(w => w.key)).not.toContain('nb_viejo');
+    act(() => result.current[1](undefined));
+    expect(localStorage.getItem('nb_viejo')).toBeNull();
+  });
+
+  it('un valor ilegible se copia aparte y se avisa en lugar de perderse', () => {
+    localStorage.setItem('nb_roto', '{no es json');
+    const { result } = renderHook(() => useLocalStorage('nb_roto', []));
+    expect(result.current[0]).toEqual([]);
+    expect(localStorage.getItem('nb_roto' + CORRUPT_SUFFIX)).toBe('{no es json');
+    expect(storageWarnings).toContainEqual({ kind: 'corrupt', key: 'nb_roto' });
+  });
+});
+
+describe('migraciones', () => {
+  it('los datos sin perfiles pasan al primer perfil, una sola vez', () => {
+    const store = memoryStore({ nb_entries: [entry('a1')], nb_settings: { intervals: { leche: 2 }, babyName: 'Ana' } });
+    expect(runMigrations(store)).toBe(0);
+    const data = store.toData();
+    const [profile] = data.nb_profiles.list;
+    expect(profile.name).toBe('Ana');
+    expect(data[profileKey('nb_entries', profile.id)]).toHaveLength(1);
+    expect(data[profileKey('nb_settings', profile.id)].types.find(t => t.key === 'leche').interval).toBe(2);
+    expect(data.nb_entries).toBeUndefined();
+    expect(runMigrations(store)).toBe(SCHEMA_VERSION);
+    expect(store.toData()).toEqual(data);
+  });
+
+  it('una migración que falla se avisa en lugar de perderse en la consola', () => {
+    localStorage.setItem('nb_entries', JSON.stringify([entry('a1')]));
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw new DOMException('Cuota excedida', 'QuotaExceededError'); });
+    migrateLocalData();
+    expect(storageWarnings).toContainEqual({ kind: 'migration', key: 'nb_schema' });
+    expect(localStorage.getItem('nb_entries')).not.toBeNull();
+  });
+});
+
+describe('copias de seguridad', () => {
+  it('prepareRestore migra copias sin perfiles', () => {
+    const legacy = prepareRestore({ format: BACKUP_FORMAT, schema: 0, data: { nb_entries: [entry('a1')], nb_settings: { babyName: 'Ana' } } });
+    const id = legacy.data.nb_profiles.list[0].id;
+    expect(legacy.data.nb_profiles.list[0].name).toBe('Ana');
+    expect(legacy.data[profileKey('nb_entries', id)]).toHaveLength(1);
+    expect(Array.isArray(legacy.data[profileKey('nb_settings', id)].types)).toBe(true);
+  });
+
+  it('prepareRestore rechaza archivos ajenos, versiones nuevas e historiales inválidos', () => {
+    expect(prepareRestore({ foo: 1 }).error).toBeTruthy();
+    expect(prepareRestore({ format: BACKUP_FORMAT, schema: SCHEMA_VERSION + 1, data: {} }).error).toMatch(/más nueva/);
+    const list = [{ id: 'p1', name: 'Ana' }];
+    expect(prepareRestore({ format: BACKUP_FORMAT, schema: SCHEMA_VERSION, data: { nb_profiles: { list }, 'nb_entries:p1': [{ id: 'x' }] } }).error).toMatch(/Ana/);
+  });
+
+  it('crear y restaurar una copia reemplaza los datos pero conserva las instantáneas', () => {
+    localStorage.setItem('nb_profiles', JSON.stringify({ active: 'p1', list: [{ id: 'p1', name: 'Ana' }] }));
+    localStorage.setItem('nb_entries:p1', JSON.stringify([entry('a1')]));
+    const backup = createBackup();
+    takeSnapshot('Prueba');
+    localStorage.setItem('nb_entries:p1', JSON.stringify([]));
+    localStorage.setItem('nb_otro', '1');
+    restoreBackup(prepareRestore(backup).data);
+    expect(stored('nb_entries:p1')).toHaveLength(1);
+    expect(localStorage.getItem('nb_otro')).toBeNull();
+    expect(stored(SNAPSHOTS_KEY)).toHaveLength(1);
+  });
+
+  it('restaurar sella lo restaurado, deja lápidas de lo nuevo y conserva la sincronización actual', () => {
+    const snapshotSync = { server: 'http://s', room: 'r', since: 1, pushed: { a1: 100 } };
+    const liveSync = { ...snapshotSync, since: 7, pushed: { a1: 100, a2: 200 } };
+    localStorage.setItem('nb_profiles', JSON.stringify({ active: 'p1', list: [{ id: 'p1', name: 'Ana' }] }));
+    localStorage.setItem('nb_entries:p1', JSON.stringify([{ ...entry('a1'), updatedAt: 100 }]));
+    localStorage.setItem('nb_sync:p1', JSON.stringify(snapshotSync));
+    const backup = createBackup();
+    localStorage.setItem('nb_entries:p1', JSON.stringify([{ ...entry('a2'), updatedAt: 200 }, { ...entry('a1'), deleted: true, updatedAt: 200 }]));
+    localStorage.setItem('nb_sync:p1', JSON.stringify(liveSync));
+    restoreBackup(backup.data, localStore, 300);
+    expect(stored('nb_sync:p1')).toEqual(liveSync);
+    expect(stored('nb_entries:p1')).toEqual([
+      expect.objectContaining({ id: 'a1', amount: '90', updatedAt: 300 }),
+      { id: 'a2', type: 'leche', time: entry('a2').time, deleted: true, updatedAt: 300 },
+    ]);
+  });
+
+  it('las instantáneas son una diaria y se descartan las viejas', () => {
+    const day = 24*3600*1000, start = new Date('2026-03-01T12:00:00Z').getTime();
+    expect(ensureDailySnapshot(localStore, start)).not.toBeNull();
+    expect(ensureDailySnapshot(localStore, start + 1000)).toBeNull();
+    takeSnapshot('Antes de borrar', localStore, start + 8*day);
+    expect(stored(SNAPSHOTS_KEY).map(s => s.reason)).toEqual(['Antes de borrar']);
+  });
+});
+
+describe('espacio', () => {
+  it('las instantáneas dejan lugar para seguir registrando', () => {
+    const day = 24*3600*1000, start = new Date('2026-03-01T12:00:00Z').getTime();
+    const store = quotaStore(300*1000);
+    const records = [];
+    let kept = 0;
+    for (let d = 0; d < 60; d++){
+      ensureDailySnapshot(store, start + d*day, 300*1000);
+      kept = Math.max(kept, JSON.parse(store.get(SNAPSHOTS_KEY) ?? '[]').length);
+      for (let i = 0; i < 25; i++){
+        records.push({ ...entry(`${d}-${i}`, new Date(start + d*day + i*60*1000).toISOString()), updatedAt: start });
+        persist('nb_entries:p1', JSON.stringify(records), store);
+      }
+    }
+    expect(store.rejected).toBe(0);
+    expect(kept).toBe(SNAPSHOT_DAYS);
+    expect(storageWarnings.filter(w => w.kind === 'write')).toEqual([]);
+  });
+
+  it('si no entra, se descartan instantáneas y lo que igual no entra se avisa', () => {
+    const store = quotaStore(2000);
+    store.set(SNAPSHOTS_KEY, JSON.stringify([{ id: 'nueva', pad: 'x'.repeat(600) }, { id: 'vieja', pad: 'x'.repeat(600) }]));
+    expect(persist('nb_entries:p1', 'x'.repeat(800), store)).toBe(true);
+    expect(JSON.parse(store.get(SNAPSHOTS_KEY)).map(s => s.id)).toEqual(['nueva']);
+
+    expect(persist('nb_entries:p1', 'x'.repeat(3000), store)).toBe(false);
+    expect(store.get(SNAPSHOTS_KEY)).toBeNull();
+    expect(storageWarnings).toContainEqual({ kind: 'write', key: 'nb_entries:p1' });
+    expect(persist('nb_entries:p1', '[]', store)).toBe(true);
+    expect(storageWarnings).not.toContainEqual({ kind: 'write', key: 'nb_entries:p1' });
+  });
+});
+
+describe('perfiles', () => {
+  it('writeProfileEntries agrega sin duplicar y readProfile devuelve solo registros vivos', () => {
+    localStorage.setItem('nb_entries:p2', JSON.stringify([entry('a1'), { ...entry('b1'), deleted: true, updatedAt: Date.now() }]));
+    writeProfileEntries('p2', [entry('a1'), entry('a2', '2026-03-10T09:00:00.000Z')]);
+    const profile = readProfile('p2');
+    expect(profile.entries.map(e => e.id)).toEqual(['a2', 'a1']);
+    expect(profile.types.length).toBeGreaterThan(0);
+  });
+});
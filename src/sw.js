@@ -0,0 +1,182 @@
+// ÑandeBaby Timer – Service worker
+// ✅ Caché offline de los archivos del build (lista inyectada por pwa-plugin.js)
+// ✅ Recordatorios: la app envía el calendario, el SW lo guarda en IndexedDB y lo rearma cada vez que despierta
+//    Limitación: sin Web Push nada despierta al SW a la hora exacta. Los timers mueren cuando el navegador
+//    lo detiene, periodicsync solo existe en apps instaladas (y sin horario garantizado) y TimestampTrigger
+//    nunca salió de la etapa experimental. Con la app cerrada un aviso puede llegar tarde o al volver a abrirla.
+// ✅ Acciones de notificación: "Registrar ahora" (cola de registros para la app) y "Posponer 15 min"
+
+const PRECACHE = self.__PRECACHE__ ?? [];
+const CACHE = 'nandebaby-__CACHE_VERSION__';
+const SNOOZE_MS = 15*60*1000;
+// Solo se sirven desde la caché los archivos del build y recursos estáticos; el resto (API, sincronización) va a la red
+const PRECACHE_URLS = new Set(PRECACHE.map(f => new URL(f, self.registration.scope).href));
+const STATIC_RE = /\.(?:js|css|svg|png|ico|webp|woff2?|webmanifest)$/;
+
+// -------------------- IndexedDB (clave/valor) --------------------
+function openDB(){
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open('nandebaby-sw', 1);
+    req.onupgradeneeded = () => req.result.createObjectStore('kv');
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idbGet(key, fallback){
+  const db = await openDB();
+  return new Promise((resolve) => {
+    const req = db.transaction('kv').objectStore('kv').get(key);
+    req.onsuccess = () => resolve(req.result ?? fallback);
+    req.onerror = () => resolve(fallback);
+  });
+}
+
+async function idbSet(key, value){
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('kv', 'readwrite');
+    tx.objectStore('kv').put(value, key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// -------------------- Cache --------------------
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) if (key !== CACHE) await caches.delete(key);
+    await self.clients.claim();
+    await armReminders();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  if (request.mode === 'navigate'){
+    // Red primero para tener la última versión; sin conexión, la app cacheada
+    event.respondWith(fetch(request).catch(() => caches.match(new URL('index.html', self.registration.scope).href)));
+    event.waitUntil(armReminders());
+    return;
+  }
+  const url = new URL(request.url);
+  if (!PRECACHE_URLS.has(url.href) && !STATIC_RE.test(url.pathname)) return;
+  event.respondWith(caches.match(request).then(hit => hit ?? fetch(request).then(res => {
+    if (res.ok && res.type === 'basic'){ const copy = res.clone(); caches.open(CACHE).then(cache => cache.put(request, copy)); }
+    return res;
+  })));
+});
+
+// -------------------- Recordatorios --------------------
+// reminder = { id, due (ms, según la app), at (ms, efectivo tras posponer), title, body, actions (textos de los
+// botones, traducidos por la app), profileId, type, amount, notified }
+const timers = new Map();
+// Notification Triggers: experimento de Chrome que no llegó a publicarse; se usa solo si existiera
+const canTrigger = typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+
+function show(reminder, trigger){
+  return self.registration.showNotification(reminder.title, {
+    body: reminder.body,
+    tag: reminder.id,
+    renotify: true,
+    icon: 'icon.svg',
+    data: { id: reminder.id },
+    actions: [
+      { action: 'log', title: reminder.actions?.log ?? 'Registrar ahora' },
+      { action: 'snooze', title: reminder.actions?.snooze ?? 'Posponer 15 min' },
+    ],
+    ...(trigger ? { showTrigger: new TimestampTrigger(reminder.at) } : {}),
+  });
+}
+
+// Muestra los vencidos y programa el resto. Los timers solo viven mientras el SW está
+// despierto; por eso se rearma en activate, fetch de navegación, mensajes y periodicsync
+// (lo vencido mientras dormía se muestra en cuanto despierta, no a su hora).
+async function armReminders(){
+  const reminders = await idbGet('reminders', []);
+  for (const t of timers.values()) clearTimeout(t);
+  timers.clear();
+  let changed = false;
+  for (const r of reminders){
+    if (r.notified) continue;
+    const delay = r.at - Date.now();
+    if (delay <= 0 || canTrigger){
+      await show(r, delay > 0);
+      r.notified = true;
+      changed = true;
+    } else {
+      timers.set(r.id, setTimeout(() => armReminders(), delay));
+    }
+  }
+  if (changed) await idbSet('reminders', reminders);
+}
+
+// El calendario nuevo (con `at` calculado por la app) reemplaza al anterior. Si un recordatorio
+// no cambió se conservan su posposición y "notified"; con showTrigger las notificaciones
+// futuras se cierran y se vuelven a programar.
+async function schedule(next){
+  const prev = new Map((await idbGet('reminders', [])).map(r => [r.id, r]));
+  const reminders = next.map(r => {
+    const old = prev.get(r.id);
+    if (!old || old.due !== r.at) return { ...r, due: r.at, notified: false };
+    return { ...r, due: r.at, at: old.at, notified: !!old.notified && (!canTrigger || old.at <= Date.now()) };
+  });
+  if (canTrigger){
+    for (const n of await self.registration.getNotifications({ includeTriggered: false })) n.close();
+  }
+  await idbSet('reminders', reminders);
+  await armReminders();
+}
+
+async function notifyClients(message){
+  for (const client of await self.clients.matchAll({ type: 'window' })) client.postMessage(message);
+}
+
+self.addEventListener('message', (event) => {
+  const data = event.data ?? {};
+  if (data.type === 'schedule'){
+    event.waitUntil(schedule(data.reminders ?? []));
+  } else if (data.type === 'drain'){
+    // La app pide los registros hechos desde notificaciones mientras estaba cerrada
+    event.waitUntil((async () => {
+      const items = await idbGet('pending', []);
+      await idbSet('pending', []);
+      if (items.length) event.source?.postMessage({ type: 'log', items });
+      await armReminders();
+    })());
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === 'reminders') event.waitUntil(armReminders());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const reminders = await idbGet('reminders', []);
+    const reminder = reminders.find(r => r.id === event.notification.data?.id);
+    if (event.action === 'snooze' && reminder){
+      reminder.at = Date.now() + SNOOZE_MS;
+      reminder.notified = false;
+      await idbSet('reminders', reminders);
+      await armReminders();
+      return;
+    }
+    if (event.action === 'log' && reminder){
+      const pending = await idbGet('pending', []);
+      pending.push({ id: crypto.randomUUID(), profileId: reminder.profileId, type: reminder.type, amount: reminder.amount, time: new Date().toISOString() });
+      await idbSet('pending', pending);
+      await notifyClients({ type: 'sync' });
+      return;
+    }
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length) await windows[0].focus();
+    else await self.clients.openWindow(self.registration.scope);
+  })());
+});
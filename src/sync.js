@@ -0,0 +1,118 @@
+// Sincronización entre dispositivos (compartido por la app y server/sync-server.js)
+// Cada registro lleva updatedAt (ms). Borrar deja una "lápida" { id, type, time, deleted, updatedAt }
+// para que el borrado también viaje. Al combinar gana la versión con updatedAt mayor; si empatan,
+// gana el borrado y después la comparación del JSON, así todos los dispositivos llegan al mismo resultado.
+
+export const SYNC_FORMAT = 'nandebaby-sync';
+// Las lápidas se descartan pasado este tiempo (un teléfono sin sincronizar más tiempo podría revivir registros)
+export const TOMBSTONE_TTL = 90*24*3600*1000;
+
+const stamp = (e) => e.updatedAt ?? 0;
+const byTimeDesc = (a, b) => new Date(b.time) - new Date(a.time);
+
+export const liveEntries = (records) => records.filter(e => !e.deleted);
+// Lo mínimo para guardar y mostrar un registro (o lápida) que llega de afuera
+export const validRecord = (e) => !!(e?.id && e.type && !Number.isNaN(Date.parse(e.time)));
+
+export function tombstone(entry, now = Date.now()){
+  return { id: entry.id, type: entry.type, time: entry.time, deleted: true, updatedAt: now };
+}
+
+// Versión ganadora entre dos copias del mismo registro
+export function pickWinner(a, b){
+  if (!a) return b;
+  if (!b) return a;
+  if (stamp(a) !== stamp(b)) return stamp(a) > stamp(b) ? a : b;
+  if (!!a.deleted !== !!b.deleted) return a.deleted ? a : b;
+  return JSON.stringify(a) >= JSON.stringify(b) ? a : b;
+}
+
+// Combina dos conjuntos de registros (incluidas lápidas); conmutativa e idempotente
+export function mergeEntries(local, remote, now = Date.now()){
+  const byId = new Map(local.map(e => [e.id, e]));
+  for (const e of remote) byId.set(e.id, pickWinner(byId.get(e.id), e));
+  const all = [...byId.values()].filter(e => !e.deleted || now - stamp(e) < TOMBSTONE_TTL);
+  return [...liveEntries(all).sort(byTimeDesc), ...all.filter(e => e.deleted)];
+}
+
+// La app trabaja con la lista visible; esto la lleva a los registros guardados:
+// los objetos nuevos o cambiados reciben updatedAt y los que faltan pasan a ser lápidas.
+export function applyLiveChange(records, nextLive, now = Date.now()){
+  const prev = new Map(records.map(e => [e.id, e]));
+  const keep = new Set(nextLive.map(e => e.id));
+  const live = nextLive.map(e => prev.get(e.id) === e ? e : { ...e, deleted: undefined, updatedAt: now });
+  const dead = records.filter(e => !keep.has(e.id)).map(e => e.deleted ? e : tombstone(e, now));
+  return [...live, ...dead];
+}
+
+// Vuelve a una versión anterior del historial (copia o instantánea) como un cambio nuevo: lo restaurado
+// recibe updatedAt actual y lo que no estaba en la copia pasa a ser lápida. Restaurar los registros tal cual
+// perdería contra las versiones más nuevas del servidor (p. ej. las lápidas de "Borrar historial").
+// Lo que no cambió desde la copia conserva su versión y no se vuelve a enviar.
+export function restoreRecords(records, restored, now = Date.now()){
+  const prev = new Map(records.map(e => [e.id, e]));
+  const same = (e) => { const cur = prev.get(e.id); return cur && !cur.deleted && stamp(cur) === stamp(e) ? cur : e; };
+  return applyLiveChange(records, liveEntries(restored).map(same), now);
+}
+
+// Versión que el servidor ya tiene de cada registro: pushed = { id: updatedAt enviado o recibido }.
+// Se compara registro por registro y no contra un único "último envío": updatedAt viene del reloj de
+// cada dispositivo, y un teléfono adelantado taparía los cambios locales hechos después.
+export const pendingChanges = (records, pushed = {}) => records.filter(e => pushed[e.id] !== stamp(e));
+
+// Anota como enviados/recibidos `sent` y olvida los ids que ya no están en `records`
+export function markPushed(pushed = {}, sent, records){
+  const next = { ...pushed };
+  for (const e of sent) next[e.id] = stamp(e);
+  const ids = new Set([...records, ...sent].map(e => e.id));
+  for (const id of Object.keys(next)) if (!ids.has(id)) delete next[id];
+  return next;
+}
+
+export const newRoomCode = () => crypto.randomUUID().replace(/-/g, '').slice(0, 20);
+
+// -------------------- Transporte HTTP + WebSocket --------------------
+// Un transporte es { exchange(room, { since, entries }) → { seq, entries }, subscribe(room, onChange) → cancelar }.
+// El servidor numera los cambios (seq); cada intercambio envía lo pendiente y recibe lo nuevo desde `since`.
+export function createHttpTransport(baseUrl){
+  const base = baseUrl.replace(/\/+$/, '');
+  return {
+    async exchange(room, body){
+      const res = await fetch(`${base}/rooms/${encodeURIComponent(room)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      if (!res.ok) throw new Error(`Servidor de sincronización: ${res.status}`);
+      return res.json();
+    },
+    // Avisa cuando otro dispositivo subió cambios; se reconecta solo tras cortes de red
+    subscribe(room, onChange){
+      let ws, retry, closed = false, delay = 1000;
+      const open = () => {
+        ws = new WebSocket(`${base.replace(/^http/, 'ws')}/rooms/${encodeURIComponent(room)}/ws`);
+        ws.onopen = () => { delay = 1000; onChange(); };
+        ws.onmessage = () => onChange();
+        ws.onclose = () => {
+          if (closed) return;
+          retry = setTimeout(open, delay);
+          delay = Math.min(delay*2, 60*1000);
+        };
+      };
+      open();
+      return () => { closed = true; clearTimeout(retry); ws?.close(); };
+    },
+  };
+}
+
+// -------------------- Intercambio manual (archivo) --------------------
+export function encodeExchange(records, profileName, now = Date.now()){
+  return JSON.stringify({ format: SYNC_FORMAT, createdAt: new Date(now).toISOString(), profile: profileName, entries: records });
+}
+
+export function decodeExchange(text){
+  const data = JSON.parse(text);
+  if (data?.format !== SYNC_FORMAT || !Array.isArray(data.entries)) throw new Error('El archivo no es un intercambio de ÑandeBaby');
+  if (!data.entries.every(validRecord)) throw new Error('El archivo tiene registros inválidos');
+  return data;
+}
@@ -0,0 +1,152 @@
+import { mkdtempSync, rmSync } from 'node:fs';
+import { connect } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createSyncServer } from '../server/sync-server.js';
+import { createBackup, memoryStore, restoreBackup } from './storage.js';
+import { applyLiveChange, createHttpTransport, decodeExchange, encodeExchange, liveEntries, markPushed, mergeEntries, pendingChanges, pickWinner, TOMBSTONE_TTL } from './sync.js';
+
+const mock = [
+  { id: 'a1', type: 'leche', time: '2026-03-10T08:00:00.000Z', updatedAt: 100 },
+  { id: 'b1', type: 'simeticona', time: '2026-03-10T09:00:00.000Z', updatedAt: 100 },
+];
+
+describe('sincronización', () => {
+  it('applyLiveChange convierte borrados en lápidas y marca los cambios', () => {
+    const edited = { ...mock[0], notes: 'editado' };
+    const synced = applyLiveChange(mock, [edited], 1000);
+    expect(synced.find(x => x.id === 'b1')).toMatchObject({ deleted: true, updatedAt: 1000 });
+    expect(synced.find(x => x.id === 'a1').updatedAt).toBe(1000);
+    expect(liveEntries(synced)).toHaveLength(1);
+    expect(pendingChanges(synced, { a1: 100, b1: 100 })).toHaveLength(2);
+  });
+
+  it('un reloj adelantado en otro teléfono no tapa los cambios locales', () => {
+    const remote = { id: 'r1', type: 'panal', time: mock[0].time, updatedAt: 10_000 }; // reloj adelantado
+    let records = mergeEntries(mock, [remote], 1000);
+    let pushed = markPushed({}, [...mock, remote], records);
+    expect(pendingChanges(records, pushed)).toEqual([]);
+
+    records = applyLiveChange(records, liveEntries(records).map(e => e.id === 'a1' ? { ...e, notes: 'editado' } : e), 2000);
+    expect(pendingChanges(records, pushed).map(e => e.id)).toEqual(['a1']);
+    pushed = markPushed(pushed, pendingChanges(records, pushed), records.filter(e => e.id !== 'b1'));
+    expect(Object.keys(pushed).sort()).toEqual(['a1', 'r1']);
+  });
+
+  it('la edición posterior gana al borrado, en cualquier orden', () => {
+    const deleted = applyLiveChange(mock, [mock[0]], 1000);
+    const editedLater = { ...mock[1], notes: 'editado', updatedAt: 2000 };
+    expect(mergeEntries(deleted, [editedLater], 3000).find(x => x.id === 'b1').deleted).toBeFalsy();
+    expect(mergeEntries([editedLater], deleted, 3000).find(x => x.id === 'b1').notes).toBe('editado');
+  });
+
+  it('si empatan gana el borrado', () => {
+    const tomb = { ...mock[1], deleted: true };
+    expect(pickWinner(mock[1], tomb)).toBe(tomb);
+    expect(pickWinner(tomb, mock[1])).toBe(tomb);
+  });
+
+  it('las lápidas viejas se descartan', () => {
+    const tomb = { id: 'x', type: 'leche', time: mock[0].time, deleted: true, updatedAt: 0 };
+    expect(mergeEntries([tomb], [], TOMBSTONE_TTL + 1)).toEqual([]);
+  });
+
+  it('el archivo de intercambio va y vuelve, y rechaza otros archivos', () => {
+    expect(decodeExchange(encodeExchange(mock, 'Ana')).entries).toEqual(mock);
+    expect(() => decodeExchange('{"foo":1}')).toThrow(/intercambio/);
+  });
+});
+
+describe('servidor de sincronización', () => {
+  let server, dataDir, base;
+  beforeEach(async () => {
+    dataDir = mkdtempSync(join(tmpdir(), 'nandebaby-sync-'));
+    server = createSyncServer({ dataDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('dos teléfonos intercambian cambios; la edición posterior gana al borrado', async () => {
+    const a = createHttpTransport(base), b = createHttpTransport(base);
+    const room = 'sala-de-prueba';
+    const first = await a.exchange(room, { since: 0, entries: mock });
+    expect(first.entries).toHaveLength(2);
+
+    const fromB = await b.exchange(room, { since: 0, entries: [] });
+    expect(fromB.entries).toEqual(expect.arrayContaining(mock));
+    // A borra a1 y B lo edita después: al combinar queda la edición
+    const [tomb] = applyLiveChange(mock, [mock[1]], 200).filter(e => e.deleted);
+    await a.exchange(room, { since: first.seq, entries: [tomb] });
+    const edited = { ...mock[0], notes: 'editado', updatedAt: 300 };
+    const afterB = await b.exchange(room, { since: fromB.seq, entries: [edited] });
+    expect(afterB.entries.map(e => e.id)).toEqual(['a1']); // la lápida de A quedó reemplazada
+
+    // since: A solo recibe lo nuevo desde su último intercambio
+    const afterA = await a.exchange(room, { since: first.seq, entries: [] });
+    expect(afterA.entries).toEqual([edited]);
+    expect(afterA.seq).toBe(afterB.seq);
+    expect((await a.exchange(room, { since: afterA.seq, entries: [] })).entries).toEqual([]);
+    expect(mergeEntries(mock, afterA.entries).find(e => e.id === 'a1').notes).toBe('editado');
+  });
+
+  it('avisa por WebSocket cuando otro teléfono sube cambios', async () => {
+    const room = 'sala-de-prueba';
+    let calls = 0, notify;
+    const changed = new Promise(resolve => { notify = resolve; });
+    const unsubscribe = createHttpTransport(base).subscribe(room, () => { if (++calls === 2) notify(); }); // 1: al conectar
+    await vi.waitFor(() => expect(calls).toBe(1));
+    await createHttpTransport(base).exchange(room, { since: 0, entries: mock });
+    await changed;
+    unsubscribe();
+  });
+
+  it('restaurar una copia tras "Borrar historial" se impone en todos los teléfonos', async () => {
+    const room = 'sala-de-prueba', a = createHttpTransport(base), b = createHttpTransport(base);
+    const t = Date.now();
+    const store = memoryStore({ nb_profiles: { active: 'p1', list: [{ id: 'p1', name: 'Ana' }] }, 'nb_entries:p1': mock, 'nb_sync:p1': { server: base, room, since: 0 } });
+    const read = (key) => JSON.parse(store.get(key));
+    // Un intercambio como el de useSync, sobre lo guardado en el teléfono A
+    const syncA = async () => {
+      const records = read('nb_entries:p1'), cfg = read('nb_sync:p1');
+      const outgoing = pendingChanges(records, cfg.pushed);
+      const res = await a.exchange(room, { since: cfg.since, entries: outgoing });
+      const merged = mergeEntries(records, res.entries);
+      store.set('nb_entries:p1', JSON.stringify(merged));
+      store.set('nb_sync:p1', JSON.stringify({ ...cfg, since: res.seq, pushed: markPushed(cfg.pushed, [...outgoing, ...res.entries], merged) }));
+    };
+    await syncA();
+    const backup = createBackup(store);
+    // Después de la copia: B agrega c1 y A borra todo el historial
+    await b.exchange(room, { since: 0, entries: [{ id: 'c1', type: 'panal', time: '2026-03-10T10:00:00.000Z', updatedAt: t }] });
+    await syncA();
+    store.set('nb_entries:p1', JSON.stringify(applyLiveChange(read('nb_entries:p1'), [], t + 1000)));
+    await syncA();
+    expect(liveEntries(read('nb_entries:p1'))).toEqual([]);
+
+    restoreBackup(backup.data, store, t + 2000);
+    await syncA();
+    await syncA();
+    expect(liveEntries(read('nb_entries:p1')).map(e => e.id)).toEqual(['b1', 'a1']);
+    const fromB = await b.exchange(room, { since: 0, entries: [] });
+    expect(liveEntries(fromB.entries).map(e => e.id).sort()).toEqual(['a1', 'b1']);
+    expect(fromB.entries.find(e => e.id === 'c1').deleted).toBe(true);
+  });
+
+  it('una trama WebSocket inválida no tira el servidor', async () => {
+    const socket = connect(server.address().port, '127.0.0.1');
+    socket.on('error', () => {});
+    socket.write('GET /rooms/sala-de-prueba/ws HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n'
+      + 'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n');
+    await new Promise(resolve => socket.once('data', resolve));
+    socket.write(new Uint8Array([0x81, 0x01, 0x61])); // trama de texto sin máscara (el cliente debe enmascarar)
+    await new Promise(resolve => socket.once('close', resolve));
+    const res = await createHttpTransport(base).exchange('sala-de-prueba', { since: 0, entries: [mock[0]] });
+    expect(res.entries).toEqual([mock[0]]);
+  });
+});
@@ -0,0 +1,29 @@
+// Configuración común de las pruebas (Vitest + Testing Library)
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { afterEach, vi } from 'vitest';
+import { setLocale } from './i18n.js';
+
+// jsdom no implementa Blob#text (la app lo usa al leer los archivos importados)
+if (!Blob.prototype.text){
+  Blob.prototype.text = function(){
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(this);
+    });
+  };
+}
+
+// jsdom informa "en-US"; las pruebas usan la interfaz en español salvo que elijan otro idioma
+Object.defineProperty(navigator, 'languages', { value: ['es-PY', 'es'], configurable: true });
+
+afterEach(() => {
+  setLocale('es');
+  cleanup();
+  localStorage.clear();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+  vi.useRealTimers();
+});
@@ -0,0 +1,64 @@
+// Historial: filtros y agrupación por día
+import { addDays, dateKey, fmtDate, fromDateKey, normalizeLabel } from "./utils.js";
+import { tr } from "./i18n.js";
+import { typeMeta } from "./types.js";
+import { convertAmount } from "./units.js";
+
+export const TIMELINE_PAGE = 100; // registros por página ("Mostrar más" agrega otra)
+export const EMPTY_FILTERS = { types: [], from: "", to: "", query: "" };
+export const timelineKey = (e) => `${e.profile ?? ''}${e.id}`;
+
+// Segundos desde el registro anterior del mismo tipo (y bebé), por timelineKey.
+// Se calcula sobre el historial completo para que filtrar no cambie los intervalos.
+export function computeGaps(list){
+  const gaps = new Map(), prev = {};
+  for (const e of [...list].sort((a, b) => new Date(a.time) - new Date(b.time))){
+    const k = `${e.profile ?? ''}|${e.type}`;
+    const t = new Date(e.time).getTime();
+    if (prev[k] !== undefined) gaps.set(timelineKey(e), Math.round((t - prev[k])/1000));
+    prev[k] = t;
+  }
+  return gaps;
+}
+
+export function filterTimeline(list, filters){
+  const q = normalizeLabel(filters.query);
+  const lo = filters.from ? fromDateKey(filters.from).getTime() : -Infinity;
+  const hi = filters.to ? addDays(fromDateKey(filters.to), 1).getTime() : Infinity;
+  return list.filter(e => {
+    const t = new Date(e.time).getTime();
+    return t >= lo && t < hi
+      && (!filters.types.length || filters.types.includes(e.type))
+      && (!q || normalizeLabel(e.notes).includes(q));
+  });
+}
+
+// Agrupa por día local una lista ya ordenada (más reciente primero), con subtotales por tipo.
+// amounts = { unidad: total }: los volúmenes se pasan a la unidad del tipo; lo que no se puede
+// convertir (p. ej. una dosis en mg de un tipo en gotas) se suma aparte.
+export function groupByDay(list, types = []){
+  const groups = [];
+  for (const e of list){
+    const key = dateKey(e.time);
+    let g = groups.at(-1);
+    if (g?.key !== key){ g = { key, entries: [], totals: {} }; groups.push(g); }
+    g.entries.push(e);
+    const total = g.totals[e.type] ??= { count: 0, amounts: {}, secs: 0 };
+    total.count++;
+    const n = Number(e.amount) || 0;
+    if (n){
+      const base = typeMeta(e.types ?? types, e.type).unit, unit = e.unit ?? base;
+      const inBase = convertAmount(n, unit, base);
+      const key = inBase === null ? unit : base;
+      total.amounts[key] = Number(((total.amounts[key] ?? 0) + (inBase ?? n)).toFixed(2));
+    }
+    if (e.end) total.secs += Math.max(0, Math.round((new Date(e.end) - new Date(e.time))/1000));
+  }
+  return groups;
+}
+
+export function dayLabel(key, now = new Date()){
+  if (key === dateKey(now)) return tr("Hoy");
+  if (key === dateKey(addDays(now, -1))) return tr("Ayer");
+  return fmtDate(fromDateKey(key), { weekday: 'long', day: 'numeric', month: 'long' });
+}
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { computeGaps, dayLabel, EMPTY_FILTERS, filterTimeline, groupByDay, timelineKey } from './timeline.js';
+import { DEFAULT_TYPES } from './types.js';
+import { sortByTimeDesc } from './utils.js';
+
+const at = (d, h) => new Date(2026, 2, d, h).toISOString();
+const list = sortByTimeDesc([
+  { id: 'a1', type: 'leche', time: at(9, 8), amount: '90' },
+  { id: 'a2', type: 'leche', time: at(9, 11), amount: '120', notes: 'Cólico' },
+  { id: 'c1', type: 'panal', time: at(9, 12) },
+  { id: 'a3', type: 'leche', time: at(10, 7), amount: '100' },
+]);
+
+describe('computeGaps', () => {
+  it('mide desde el registro anterior del mismo tipo', () => {
+    const gaps = computeGaps(list);
+    expect(gaps.get('a2')).toBe(3*3600);
+    expect(gaps.get('a3')).toBe(20*3600);
+    expect(gaps.has('a1')).toBe(false);
+    expect(gaps.has('c1')).toBe(false);
+  });
+
+  it('no mezcla bebés distintos en el historial combinado', () => {
+    const combined = [{ ...list[0], profile: 'Ana' }, { ...list[1], profile: 'Luz' }];
+    expect(computeGaps(combined).size).toBe(0);
+    expect(timelineKey(combined[0])).toBe('Ana' + list[0].id);
+  });
+});
+
+describe('filterTimeline', () => {
+  it('filtra por tipo y busca en notas sin acentos', () => {
+    expect(filterTimeline(list, { ...EMPTY_FILTERS, query: 'colico' }).map(e => e.id)).toEqual(['a2']);
+    expect(filterTimeline(list, { ...EMPTY_FILTERS, types: ['leche'] }).every(e => e.type === 'leche')).toBe(true);
+  });
+
+  it('filtra por rango de fechas (ambos días incluidos)', () => {
+    expect(filterTimeline(list, { ...EMPTY_FILTERS, from: '2026-03-10', to: '2026-03-10' }).map(e => e.id)).toEqual(['a3']);
+  });
+});
+
+describe('groupByDay', () => {
+  it('agrupa por día local con subtotales por tipo', () => {
+    const groups = groupByDay(list, DEFAULT_TYPES);
+    expect(groups.map(g => g.key)).toEqual(['2026-03-10', '2026-03-09']);
+    expect(groups[1].totals.leche).toEqual({ count: 2, amounts: { ml: 210 }, secs: 0 });
+    expect(groups[1].totals.panal.count).toBe(1);
+  });
+
+  it('suma en la unidad del tipo los registros guardados en otra', () => {
+    const mixed = [
+      { id: 'a1', type: 'leche', time: at(9, 8), amount: '90' },
+      { id: 'a2', type: 'leche', time: at(9, 9), amount: '4', unit: 'oz' },
+      { id: 's1', type: 'simeticona', time: at(9, 10), amount: '10' },
+      { id: 's2', type: 'simeticona', time: at(9, 11), amount: '2.5', unit: 'mg' },
+    ];
+    const [day] = groupByDay(mixed, DEFAULT_TYPES);
+    expect(day.totals.leche.amounts).toEqual({ ml: 208.29 });
+    expect(day.totals.simeticona.amounts).toEqual({ gotas: 10, mg: 2.5 });
+  });
+
+  it('dayLabel nombra hoy y ayer', () => {
+    const now = new Date(2026, 2, 10, 15);
+    expect(dayLabel('2026-03-10', now)).toBe('Hoy');
+    expect(dayLabel('2026-03-09', now)).toBe('Ayer');
+  });
+});
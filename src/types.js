@@ -0,0 +1,71 @@
+// Tipos de registro y ajustes por perfil (settings), con su migración desde versiones anteriores
+
+// Tipos de registro configurables (settings.types). El orden del array es el orden de las tarjetas.
+// kind: "event" = botón simple/cantidad, "feed" = además temporizador de pecho,
+//       "sleep" = tramos con inicio (time) y fin (end)
+// interval: horas hasta el próximo (0 = sin recordatorio); en "sleep", tiempo despierto máximo
+// Medicamentos (kind 'med'): schedule 'interval' (cada `interval` h) o 'times' (horas fijas "HH:MM"),
+// maxPerDay = máximo de dosis en 24 h (0 = sin límite), courseStart/courseEnd = tratamiento ("aaaa-mm-dd")
+// predict: 'fixed' (último + interval) o 'adaptive' (según el historial, ver prediction.js; sin datos suficientes
+// vuelve al intervalo fijo). No aplica a medicamentos, que siguen su pauta.
+export const TYPE_TEMPLATE = {
+  label: "", emoji: "⭐", color: "#0891b2", quantity: false, unit: "", interval: 0, presets: [], kind: "event", hidden: false,
+  schedule: "interval", times: [], maxPerDay: 0, courseStart: "", courseEnd: "", predict: "fixed",
+};
+
+export const DEFAULT_TYPES = [
+  { ...TYPE_TEMPLATE, key: "leche", label: "Leche", emoji: "🍼", color: "#2563eb", quantity: true, unit: "ml", interval: 3, presets: ["60", "90", "120", "150"], kind: "feed" },
+  { ...TYPE_TEMPLATE, key: "simeticona", label: "Simeticona", emoji: "💧", color: "#4f46e5", interval: 6, kind: "med", quantity: true, unit: "gotas" },
+  { ...TYPE_TEMPLATE, key: "vitamina", label: "Vitamina", emoji: "✨", color: "#059669", interval: 24, kind: "med", quantity: true, unit: "gotas", schedule: "times", times: ["09:00"], maxPerDay: 1 },
+  { ...TYPE_TEMPLATE, key: "panal", label: "Pañal", emoji: "🚼", color: "#d97706", interval: 3 },
+  { ...TYPE_TEMPLATE, key: "sueno", label: "Sueño", emoji: "😴", color: "#7c3aed", interval: 1.5, kind: "sleep" },
+];
+
+// Etiquetas en español; se traducen al mostrarlas
+export const KINDS = { event: "Evento", feed: "Toma (con pecho)", sleep: "Sueño (inicio/fin)", med: "Medicamento (dosis)" };
+
+export const DEFAULT_SETTINGS = {
+  version: 4,
+  types: DEFAULT_TYPES,
+  babyName: "Bebé",
+  birthDate: "", // "aaaa-mm-dd"; necesaria para los percentiles de crecimiento
+  sex: "", // 'f' | 'm' (tablas OMS por sexo)
+  growthUnits: { weight: 'kg', length: 'cm' },
+  volumeUnit: 'ml', // 'ml' | 'oz': cómo se muestran las cantidades en ml u oz (ver units.js)
+};
+
+// Ajustes guardados antes de los tipos configurables: { intervals, units: { leche }, babyName }
+export function migrateSettings(saved){
+  if (!saved || typeof saved !== 'object') return DEFAULT_SETTINGS;
+  const { intervals, units, ...rest } = saved;
+  let types = Array.isArray(saved.types) ? saved.types : DEFAULT_TYPES.map(t => ({
+    ...t,
+    interval: intervals?.[t.key] ?? t.interval,
+    unit: t.key === 'leche' ? (units?.leche ?? t.unit) : t.unit,
+  }));
+  // v2: se agrega el tipo Sueño a configuraciones existentes
+  if ((saved.version ?? 1) < 2 && !types.some(t => t.kind === 'sleep')){
+    types = [...types, DEFAULT_TYPES.find(t => t.kind === 'sleep')];
+  }
+  // v3: Simeticona y Vitamina pasan a ser medicamentos (se conserva el intervalo configurado)
+  if ((saved.version ?? 1) < 3){
+    types = types.map(t => ['simeticona', 'vitamina'].includes(t.key) && (t.kind ?? 'event') === 'event' ? { ...t, kind: 'med', schedule: 'interval' } : t);
+  }
+  // v4: preferencia de volumen; se toma la unidad de la leche para que nada cambie al actualizar
+  if ((saved.version ?? 1) < 4 && !rest.volumeUnit){
+    const unit = String(types.find(t => t.key === 'leche')?.unit ?? '').trim().toLowerCase();
+    if (unit === 'oz') rest.volumeUnit = 'oz';
+  }
+  return { ...DEFAULT_SETTINGS, ...rest, version: DEFAULT_SETTINGS.version, types: types.map(t => ({ ...TYPE_TEMPLATE, ...t })) };
+}
+
+// Clave estable para un tipo nuevo (los registros guardan la clave, no la etiqueta)
+export function makeTypeKey(label, types){
+  const base = String(label).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'tipo';
+  let key = base;
+  for (let i = 2; types.some(t => t.key === key); i++) key = `${base}_${i}`;
+  return key;
+}
+
+// Registros de un tipo borrado siguen mostrándose con un marcador genérico
+export const typeMeta = (types, key) => types.find(t => t.key === key) ?? { ...TYPE_TEMPLATE, key, label: key, emoji: "❓" };
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_SETTINGS, DEFAULT_TYPES, makeTypeKey, migrateSettings, typeMeta } from './types.js';
+
+describe('migrateSettings', () => {
+  const migrated = migrateSettings({ intervals: { leche: 2, simeticona: 6, vitamina: 24, panal: 3 }, units: { leche: 'oz' }, babyName: 'Ana' });
+
+  it('conserva intervalos, unidad y nombre de los ajustes viejos', () => {
+    const leche = migrated.types.find(t => t.key === 'leche');
+    expect(leche.interval).toBe(2);
+    expect(leche.unit).toBe('oz');
+    expect(migrated.babyName).toBe('Ana');
+    expect(migrated.version).toBe(DEFAULT_SETTINGS.version);
+  });
+
+  it('si la leche se medía en oz, esa pasa a ser la unidad de volumen', () => {
+    expect(migrated.volumeUnit).toBe('oz');
+    expect(migrateSettings({ version: 3, types: DEFAULT_TYPES }).volumeUnit).toBe('ml');
+  });
+
+  it('agrega Sueño y convierte Simeticona en medicamento', () => {
+    expect(migrated.types.some(t => t.kind === 'sleep')).toBe(true);
+    expect(migrated.types.find(t => t.key === 'simeticona').kind).toBe('med');
+  });
+
+  it('completa los campos nuevos de cada tipo', () => {
+    const old = migrateSettings({ version: 3, types: [{ key: 'panal', label: 'Pañal', interval: 3 }] });
+    expect(old.types[0]).toMatchObject({ predict: 'fixed', schedule: 'interval', hidden: false });
+  });
+
+  it('sin ajustes guardados devuelve los de fábrica', () => {
+    expect(migrateSettings(null)).toBe(DEFAULT_SETTINGS);
+  });
+});
+
+describe('makeTypeKey y typeMeta', () => {
+  it('genera una clave única sin acentos', () => {
+    expect(makeTypeKey('Pañal', DEFAULT_TYPES)).toBe('panal_2');
+    expect(makeTypeKey('Paracetamol infantil', DEFAULT_TYPES)).toBe('paracetamol_infantil');
+  });
+
+  it('un tipo borrado se muestra con un marcador genérico', () => {
+    expect(typeMeta(DEFAULT_TYPES, 'borrado')).toMatchObject({ key: 'borrado', label: 'borrado', emoji: '❓' });
+  });
+});
@@ -0,0 +1,50 @@
+// Unidades de volumen (ml / oz): las cantidades se guardan en la unidad del tipo o del registro
+// y se muestran en la preferida del perfil (settings.volumeUnit). Otras unidades (gotas, etc.) no se convierten.
+import { parseAmount } from "./utils.js";
+
+// factor desde ml, decimales a mostrar y paso de redondeo de los atajos
+export const VOLUME_UNITS = {
+  ml: { factor: 1, digits: 0, step: 5 },
+  oz: { factor: 1/29.5735, digits: 1, step: 0.5 },
+};
+export const isVolumeUnit = (unit) => Object.hasOwn(VOLUME_UNITS, String(unit ?? '').trim().toLowerCase());
+const volume = (unit) => VOLUME_UNITS[String(unit).trim().toLowerCase()];
+
+// Unidad con la que se muestra una cantidad guardada en `unit`
+export const displayUnit = (unit, pref) => isVolumeUnit(unit) && Object.hasOwn(VOLUME_UNITS, pref) ? pref : (unit ?? "");
+const converts = (unit, pref) => displayUnit(unit, pref) === pref && volume(unit) !== VOLUME_UNITS[pref];
+
+const convert = (n, from, to) => n / volume(from).factor * volume(to).factor;
+const roundTo = (n, step) => Math.round(n / step) * step;
+
+// Cantidad guardada → texto a mostrar ("" si no hay cantidad; sin convertir si no es un volumen)
+export function toDisplay(amount, unit, pref, { preset = false } = {}){
+  const n = parseAmount(amount);
+  if (n === undefined) return "";
+  if (Number.isNaN(n) || !converts(unit, pref)) return String(amount);
+  const to = VOLUME_UNITS[pref];
+  const v = convert(n, unit, pref);
+  return String(Number((preset ? roundTo(v, to.step) : v).toFixed(to.digits)));
+}
+
+// Texto ingresado en la unidad mostrada → cantidad a guardar en `unit`; lo no numérico pasa igual
+// para que la validación lo rechace
+export function fromDisplay(value, unit, pref){
+  const n = parseAmount(value);
+  if (n === undefined || Number.isNaN(n) || !converts(unit, pref)) return value;
+  return String(Number(convert(n, pref, unit).toFixed(2)));
+}
+
+// Cantidad numérica de `from` a `to` (p. ej. para sumar registros en oz a un tipo en ml);
+// null si no se puede convertir (unidades distintas que no son de volumen)
+export function convertAmount(n, from, to){
+  const same = String(from ?? '').trim().toLowerCase() === String(to ?? '').trim().toLowerCase();
+  if (same) return n;
+  return volume(from ?? '') && volume(to ?? '') ? convert(n, from, to) : null;
+}
+
+// "120 ml" / "4.1 oz" / "5 gotas"
+export const fmtAmount = (amount, unit, pref) => {
+  const u = displayUnit(unit, pref);
+  return `${toDisplay(amount, unit, pref)}${u ? ` ${u}` : ""}`;
+};
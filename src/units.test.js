@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { displayUnit, fmtAmount, fromDisplay, isVolumeUnit, toDisplay } from './units.js';
+
+describe('unidades de volumen', () => {
+  it('reconoce ml y oz sin importar mayúsculas', () => {
+    expect(isVolumeUnit('ml')).toBe(true);
+    expect(isVolumeUnit(' OZ ')).toBe(true);
+    expect(isVolumeUnit('gotas')).toBe(false);
+    expect(isVolumeUnit(undefined)).toBe(false);
+  });
+
+  it('solo se convierten los volúmenes', () => {
+    expect(displayUnit('ml', 'oz')).toBe('oz');
+    expect(displayUnit('gotas', 'oz')).toBe('gotas');
+    expect(displayUnit(undefined, 'oz')).toBe('');
+  });
+});
+
+describe('toDisplay y fromDisplay', () => {
+  it('convierte ml a oz con un decimal', () => {
+    expect(toDisplay('120', 'ml', 'oz')).toBe('4.1');
+    expect(toDisplay('4', 'oz', 'ml')).toBe('118');
+    expect(toDisplay('120', 'ml', 'ml')).toBe('120');
+    expect(toDisplay('95.5', 'ML', 'ml')).toBe('95.5');
+  });
+
+  it('los atajos se redondean a un paso cómodo', () => {
+    expect([60, 90, 120, 150].map(p => toDisplay(p, 'ml', 'oz', { preset: true }))).toEqual(['2', '3', '4', '5']);
+    expect(toDisplay(4, 'oz', 'ml', { preset: true })).toBe('120');
+  });
+
+  it('sin cantidad o con texto no numérico no convierte', () => {
+    expect(toDisplay('', 'ml', 'oz')).toBe('');
+    expect(toDisplay(undefined, 'ml', 'oz')).toBe('');
+    expect(toDisplay('mucho', 'ml', 'oz')).toBe('mucho');
+    expect(fromDisplay('mucho', 'ml', 'oz')).toBe('mucho');
+    expect(fromDisplay('', 'ml', 'oz')).toBe('');
+  });
+
+  it('lo ingresado vuelve a la unidad guardada', () => {
+    expect(fromDisplay('4', 'ml', 'oz')).toBe('118.29');
+    expect(fromDisplay('4,5', 'ml', 'oz')).toBe('133.08');
+    expect(fromDisplay('90', 'ml', 'ml')).toBe('90');
+    expect(fromDisplay('5', 'gotas', 'oz')).toBe('5');
+  });
+});
+
+describe('fmtAmount', () => {
+  it('muestra la cantidad con su unidad', () => {
+    expect(fmtAmount('120', 'ml', 'oz')).toBe('4.1 oz');
+    expect(fmtAmount('120', 'ml', 'ml')).toBe('120 ml');
+    expect(fmtAmount('5', 'gotas', 'oz')).toBe('5 gotas');
+    expect(fmtAmount('2', undefined, 'ml')).toBe('2');
+  });
+});
@@ -0,0 +1,49 @@
+// Utilidades compartidas: fechas, formatos y parseo de cantidades
+import { intlLocale, tr } from "./i18n.js";
+
+export const nowISO = () => new Date().toISOString();
+// Fechas y horas en el idioma elegido (no en el del navegador)
+export const fmtTime = (iso) => new Date(iso).toLocaleString(intlLocale());
+export const fmtDate = (d, options) => new Date(d).toLocaleDateString(intlLocale(), options);
+export const fmtClock = (iso) => new Date(iso).toLocaleTimeString(intlLocale(), { hour: '2-digit', minute: '2-digit' });
+export const pad = (n) => String(n).padStart(2, "0");
+// <input type="datetime-local"> trabaja en hora local sin zona
+export const toLocalInput = (iso) => {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+export const fromLocalInput = (s) => { const d = new Date(s); return Number.isNaN(d.getTime()) ? null : d.toISOString(); };
+export const parseAmount = (a) => {
+  const s = String(a ?? "").trim().replace(',', '.');
+  if (s === "") return undefined;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : NaN;
+};
+
+export const normalizeLabel = (s) => String(s ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+
+export const sortByTimeDesc = (list) => [...list].sort((a,b)=> new Date(b.time)-new Date(a.time));
+
+// -------------------- Fechas --------------------
+export const startOfDay = (t = Date.now()) => { const d = new Date(t); d.setHours(0, 0, 0, 0); return d; };
+
+export const dateKey = (t) => { const d = new Date(t); return `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())}`; };
+export const fromDateKey = (k) => { const [y, m, d] = k.split('-').map(Number); return new Date(y, m-1, d); };
+export const addDays = (d, n) => { const x = new Date(d); x.setDate(x.getDate() + n); return x; };
+
+export const fmtHours = (sec) => {
+  const h = Math.floor(sec/3600), m = Math.floor((sec%3600)/60);
+  return h ? `${h}h ${pad(m)}m` : `${m}m`;
+};
+
+export function diffToCountdown(isoUntil){
+  if (!isoUntil) return "--:--:--";
+  const ms = new Date(isoUntil).getTime() - Date.now();
+  if (Number.isNaN(ms)) return "--:--:--";
+  if (ms <= 0) return tr("¡Ahora!");
+  const s = Math.floor(ms/1000);
+  const h = Math.floor(s/3600);
+  const m = Math.floor((s%3600)/60);
+  const ss = s%60;
+  return `${pad(h)}:${pad(m)}:${pad(ss)}`;
+}
@@ -0,0 +1,64 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { addDays, dateKey, diffToCountdown, fmtHours, fromDateKey, fromLocalInput, parseAmount, sortByTimeDesc, toLocalInput } from './utils.js';
+
+describe('diffToCountdown', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-10T12:00:00Z'));
+  });
+
+  it('muestra horas, minutos y segundos hasta la hora indicada', () => {
+    expect(diffToCountdown('2026-03-10T12:01:30Z')).toBe('00:01:30');
+    expect(diffToCountdown('2026-03-10T15:00:05Z')).toBe('03:00:05');
+  });
+
+  it('avanza con el reloj y llega a "¡Ahora!"', () => {
+    const due = '2026-03-10T12:00:10Z';
+    expect(diffToCountdown(due)).toBe('00:00:10');
+    vi.advanceTimersByTime(9000);
+    expect(diffToCountdown(due)).toBe('00:00:01');
+    vi.advanceTimersByTime(1000);
+    expect(diffToCountdown(due)).toBe('¡Ahora!');
+  });
+
+  it('sin fecha o con una fecha inválida muestra guiones', () => {
+    expect(diffToCountdown(null)).toBe('--:--:--');
+    expect(diffToCountdown('mañana')).toBe('--:--:--');
+  });
+});
+
+describe('parseAmount', () => {
+  it('acepta coma decimal y distingue vacío de no numérico', () => {
+    expect(parseAmount('90,5')).toBe(90.5);
+    expect(parseAmount(' 120 ')).toBe(120);
+    expect(parseAmount('')).toBeUndefined();
+    expect(parseAmount(undefined)).toBeUndefined();
+    expect(parseAmount('abc')).toBeNaN();
+  });
+});
+
+describe('fechas', () => {
+  it('dateKey y fromDateKey usan la fecha local', () => {
+    const d = new Date(2026, 0, 31, 23, 30);
+    expect(dateKey(d)).toBe('2026-01-31');
+    expect(fromDateKey('2026-01-31').getTime()).toBe(new Date(2026, 0, 31).getTime());
+    expect(dateKey(addDays(d, 1))).toBe('2026-02-01');
+  });
+
+  it('toLocalInput y fromLocalInput van y vuelven', () => {
+    const iso = new Date(2026, 4, 2, 8, 15).toISOString();
+    expect(fromLocalInput(toLocalInput(iso))).toBe(iso);
+    expect(fromLocalInput('')).toBeNull();
+  });
+
+  it('fmtHours muestra horas solo si hacen falta', () => {
+    expect(fmtHours(45*60)).toBe('45m');
+    expect(fmtHours(2*3600 + 5*60)).toBe('2h 05m');
+  });
+
+  it('sortByTimeDesc ordena del más reciente al más viejo sin mutar la lista', () => {
+    const list = [{ id: 'a', time: '2026-01-01T10:00:00Z' }, { id: 'b', time: '2026-01-01T12:00:00Z' }];
+    expect(sortByTimeDesc(list).map(e => e.id)).toEqual(['b', 'a']);
+    expect(list[0].id).toBe('a');
+  });
+});
@@ -0,0 +1,9 @@
+/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./index.html', './src/**/*.{js,jsx}'],
+  darkMode: 'class', // App alterna la clase "dark" en <html>
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+}
@@ -1,7 +1,12 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import pwa from './pwa-plugin.js'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pwa()],
   base: '/babycare-timer/',   // 👈 clave para GitHub Pages
+  test: {
+    environment: 'jsdom',
+    setupFiles: './src/test-setup.js',
+  },
 })